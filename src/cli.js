@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+import _ from 'lodash';
+import Dedupe from './index.js';
+import {basename} from 'path';
+import {program} from 'commander';
+import {writeFile} from 'fs/promises';
+
+/**
+* Command line interface for Dedupe
+* Reads one or more reference libraries, deduplicates them and writes the result
+*
+* @example Delete duplicates from a RIS file using the Forbes strategy, saving as EndNote XML
+* dedupe-sweep input.ris -s forbes -a delete -o output.xml
+*/
+program
+	.name('dedupe-sweep')
+	.description('Deduplicate reference libraries using the sweep method')
+	.argument('[input...]', 'Reference library files to read, multiple files are concatenated with each file name used as its source. Use `name=path` to name the source database of each file instead')
+	.option('-s, --strategy <name>', 'Strategy to use, either the name of a built-in strategy or a path to a JSON / YAML strategy file', 'clark')
+	.option('-a, --action <action>', `Action to take on duplicates. ENUM: ${Object.keys(Dedupe.ACTIONS).map(a => a.toLowerCase()).join(', ')}`, 'stats')
+	.option('-e, --existing <path>', 'An existing deduplicated library to incrementally deduplicate the input files against, only the input refs are output')
+	.option('-o, --output <path>', 'Output file to write, the format is determined from the file extension. If omitted JSON is written to STDOUT')
+	.option('--report <path>', 'Write a PRISMA duplicate removal report, the format (JSON, Markdown, CSV or HTML) is determined from the file extension')
+	.option('-t, --threshold <number>', 'Floating value (between 0 and 1) when marking or deleting refs', parseFloat)
+	.option('--review-threshold <number>', 'Lower floating value (between 0 and the threshold), refs scoring between this and the threshold are flagged for manual review rather than removed', parseFloat)
+	.option('--review <path>', 'Write the duplicate pairs flagged for manual review, with an explanation of each, as JSON')
+	.option('-d, --decisions <path>', 'JSON file of prior manual review decisions to apply, as exported via `Dedupe.exportDecisions()`')
+	.option('-f, --action-field <field>', 'The field to use with actions')
+	.option('-w, --field-weight <weight>', `How to calculate the duplication score. ENUM: ${Object.keys(Dedupe.FIELDWEIGHT).map(a => a.toLowerCase()).join(', ')}`)
+	.option('-r, --dupe-ref <ref>', `How to refer to other refs. ENUM: ${Object.keys(Dedupe.DUPEREF).map(a => a.toLowerCase()).join(', ')}`)
+	.option('--mark-ok <value>', 'Value to set the action field to for non-dupes when using the mark action')
+	.option('--mark-dupe <value>', 'Value to set the action field to for dupes when using the mark action')
+	.option('--mark-review <value>', 'Value to set the action field to for refs needing manual review when using the mark action')
+	.option('--mark-original', 'Mark the original duplicate as a dupe')
+	.option('--source-file-field <field>', 'Field to tag each ref with the name of the file it was read from')
+	.option('--source-priority <names>', 'CSV of source names in order of preference when choosing which duplicate to keep', v => v.split(/\s*,\s*/))
+	.option('-j, --threads <number>', 'Number of worker threads to run strategy steps in', v => parseInt(v, 10))
+	.option('--lean', 'Reduce memory usage by only retaining the fields the strategy needs while deduplicating')
+	.option('--no-validate', 'Skip validating the strategy before running')
+	.option('-q, --quiet', 'Do not output progress or a summary')
+	.option('--list-strategies', 'List available strategies and exit')
+	.parse();
+
+var options = program.opts();
+
+/**
+* Output a message to STDERR unless in quiet mode
+* @param {...*} msg The message components to output
+*/
+var log = (...msg) => {
+	if (options.quiet) return;
+	if (process.stderr.isTTY) process.stderr.write('\r\x1b[K'); // Clear any progress line
+	console.warn(...msg);
+};
+
+/**
+* Lookup an ENUM value from a case-insensitive key
+* @param {Object} lookup The ENUM lookup object e.g. `Dedupe.ACTIONS`
+* @param {string} key The key to find
+* @param {string} name The human readable name of the option, used in error messages
+* @returns {number} The ENUM value
+*/
+var lookupEnum = (lookup, key, name) => {
+	var value = lookup[key.toUpperCase()];
+	if (value === undefined) throw new Error(`Unknown ${name} "${key}" - choose one of ${Object.keys(lookup).map(a => a.toLowerCase()).join(', ')}`);
+	return value;
+};
+
+Promise.resolve()
+	// List strategies {{{
+	.then(()=> {
+		if (!options.listStrategies) return;
+		Object.entries(Dedupe.strategies).forEach(([id, strategy]) =>
+			console.log(`${id} - ${strategy.title}: ${strategy.description}`)
+		);
+		process.exit(0);
+	})
+	// }}}
+	// Run deduplication {{{
+	.then(()=> {
+		if (!program.args.length) throw new Error('No input files specified');
+
+		var input = program.args.every(arg => /^[^=]+=/.test(arg)) // Named sources as `name=path`
+			? _(program.args)
+				.map(arg => arg.split(/=(.*)/s))
+				.groupBy(0)
+				.mapValues(sources => sources.map(source => source[1]))
+				.value()
+			: program.args.length > 1 // Multiple files - use each file name as its source
+			? _.groupBy(program.args, arg => basename(arg))
+			: program.args;
+
+		var abort = new AbortController();
+		var summary;
+		process.once('SIGINT', ()=> abort.abort(new Error('Cancelled')));
+
+		var dedupe = new Dedupe()
+			.set(_.omitBy({
+				strategy: options.strategy,
+				validateStrategy: options.validate,
+				action: lookupEnum(Dedupe.ACTIONS, options.action, 'action'),
+				actionField: options.actionField,
+				threshold: options.threshold,
+				reviewThreshold: options.reviewThreshold,
+				fieldWeight: options.fieldWeight && lookupEnum(Dedupe.FIELDWEIGHT, options.fieldWeight, 'field weight'),
+				dupeRef: options.dupeRef && lookupEnum(Dedupe.DUPEREF, options.dupeRef, 'dupe ref'),
+				markOk: options.markOk,
+				markDupe: options.markDupe,
+				markReview: options.markReview,
+				markOriginal: options.markOriginal,
+				sourceFileField: options.sourceFileField,
+				sourcePriority: options.sourcePriority,
+				lean: options.lean,
+				threads: options.threads,
+				signal: abort.signal,
+			}, _.isUndefined));
+
+		return Promise.resolve()
+			.then(()=> /\.(json|ya?ml)$/i.test(options.strategy) && dedupe.loadStrategy(options.strategy)
+				.then(strategy => dedupe.set('strategy', strategy))
+			)
+			.then(()=> options.decisions && dedupe.loadDecisions(options.decisions)
+				.then(decisions => dedupe.set('decisions', decisions))
+			)
+			.then(()=> options.output && dedupe.getOutputFormat(options.output)) // Check the output format before running
+			.then(()=> options.report && dedupe.getReportFormat(options.report))
+			.then(()=> dedupe
+				.on('readFile', (path, refs) => log(`Read ${refs.length} refs from ${path}`))
+				.on('progress', (current, max) => options.quiet || process.stderr.isTTY && process.stderr.write(`\rDeduplicating ${Math.floor(current / max * 100)}%`))
+				.on('stepEnd', info => log(`Step ${info.stepIndex+1}/${info.stepCount}:`, info.title, '-', info.duplicates, 'duplicates found'))
+				.on('complete', runSummary => {
+					summary = runSummary;
+					log(`Processed ${summary.refs} refs using the "${options.strategy}" strategy - ${summary.duplicates} duplicates found`);
+					if (summary.reviewPairs) log(`${summary.automatic} duplicates can be removed automatically, ${summary.review} need manual review`);
+					if (summary.sources) summary.sources.names.forEach(name => {
+						var count = summary.sources.counts[name];
+						log(`Source ${name}: ${count.before} refs, ${count.duplicates} duplicates, ${count.after} remaining`);
+					});
+				})
+			)
+			.then(()=> options.existing
+				? dedupe.runIncremental(options.existing, input)
+				: dedupe.run(input)
+			)
+			.then(output => options.output
+				? dedupe.writeFile(options.output, output)
+				: output
+			)
+			.then(output => {
+				if (options.output) {
+					log(`Wrote ${output.length} refs to ${options.output}`);
+				} else {
+					process.stdout.write(JSON.stringify(output, null, '\t') + '\n');
+				}
+			})
+			.then(()=> options.report && writeFile(options.report, dedupe.renderReport(summary, dedupe.getReportFormat(options.report)))
+				.then(()=> log(`Wrote PRISMA report to ${options.report}`))
+			)
+			.then(()=> options.review && writeFile(options.review, JSON.stringify(summary.reviewPairs || [], null, '\t') + '\n')
+				.then(()=> log(`Wrote ${summary.reviewPairs?.length || 0} pairs for review to ${options.review}`))
+			)
+	})
+	// }}}
+	.catch(e => {
+		console.warn('Error:', e.message);
+		process.exit(1);
+	})
@@ -1,6 +1,12 @@
 import _ from "lodash"
 import { EventEmitter } from "events";
 import jaroWinklerDistance from 'jaro-winkler'
+import { basename, extname } from 'path';
+import { readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { Worker } from 'worker_threads';
+import yaml from 'js-yaml';
+import reflib from '@iebh/reflib';
 
 import clark from './strategies/clark.js';
 import bramer from './strategies/bramer.js';
@@ -8,6 +14,372 @@ import forbes from './strategies/forbes.js';
 import forbesMinFN from './strategies/forbesMinFN.js';
 import forbesMinFP from './strategies/forbesMinFP.js';
 import doiOnly from './strategies/doiOnly.js';
+import identifiers from './strategies/identifiers.js';
+
+
+/**
+* Cast a comparison input into a plain string, joining arrays
+* @param {string|array} value The input value
+* @returns {string} The string representation of the value
+*/
+function toText(value) {
+	return _.isArray(value) ? value.join(', ') : `${value ?? ''}`;
+}
+
+
+/**
+* Split a comparison input into lower case word tokens
+* @param {string|array} value The input value
+* @returns {array<string>} Tokens found within the input
+*/
+function toTokens(value) {
+	return _.words(toText(value).toLowerCase());
+}
+
+
+/**
+* Compute the set of character n-grams within a comparison input
+* Strings shorter than the n-gram size are treated as one n-gram
+* @param {string|array} value The input value
+* @param {number} size The n-gram size
+* @returns {Set<string>} The unique n-grams found
+*/
+function toNgrams(value, size) {
+	var text = toText(value);
+	if (text.length <= size) return new Set(text ? [text] : []);
+	return new Set(_.range(text.length - size + 1).map(offset => text.substr(offset, size)));
+}
+
+
+/**
+* Compute the Levenshtein edit distance between two strings
+* @param {string} a The first string
+* @param {string} b The second string
+* @returns {number} The minimum number of single character insertions, deletions or substitutions to convert `a` into `b`
+*/
+function levenshteinDistance(a, b) {
+	var previous = _.range(b.length + 1);
+	for (var i = 1; i <= a.length; i++) {
+		var current = [i];
+		for (var j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1, // Deletion
+				current[j - 1] + 1, // Insertion
+				previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1), // Substitution
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+
+/**
+* Compute the normalized Levenshtein similarity between two strings
+* @param {string} a The first string
+* @param {string} b The second string
+* @returns {number} A floating value between 0 (completely different) and 1 (identical)
+*/
+function levenshteinRatio(a, b) {
+	var length = Math.max(a.length, b.length);
+	return length ? 1 - levenshteinDistance(a, b) / length : 1;
+}
+
+
+/**
+* Compute a 32 bit FNV-1a hash of a string
+* @param {string} value The string to hash
+* @returns {number} An unsigned 32 bit integer hash
+*/
+function hashString(value) {
+	var hash = 0x811c9dc5;
+	for (var i = 0; i < value.length; i++) {
+		hash ^= value.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+
+/**
+* Derive a new hash from an existing hash and a seed using the MurmurHash3 finalizer
+* This provides a cheap family of independent hash functions for MinHash signatures
+* @param {number} hash The existing 32 bit hash
+* @param {number} seed The seed of the hash function to use
+* @returns {number} An unsigned 32 bit integer hash
+*/
+function mixHash(hash, seed) {
+	var mixed = hash ^ Math.imul(seed + 1, 0x9e3779b1);
+	mixed ^= mixed >>> 16;
+	mixed = Math.imul(mixed, 0x85ebca6b);
+	mixed ^= mixed >>> 13;
+	mixed = Math.imul(mixed, 0xc2b2ae35);
+	mixed ^= mixed >>> 16;
+	return mixed >>> 0;
+}
+
+
+/**
+* Compute the proportion of shared members between two sets
+* @param {Set} a The first set
+* @param {Set} b The second set
+* @returns {Object} Object with the `shared` count and the `sizeA` + `sizeB` set sizes
+*/
+function setOverlap(a, b) {
+	return {
+		shared: [...a].filter(item => b.has(item)).length,
+		sizeA: a.size,
+		sizeB: b.size,
+	};
+}
+
+
+/**
+* Collect all items from an async iterable into an array
+* @param {AsyncIterable} iterable The async iterable (e.g. an object mode stream) to collect
+* @returns {Promise<array>} The collected items
+*/
+function collectAsync(iterable) {
+	var items = [];
+	var iterator = iterable[Symbol.asyncIterator]();
+	var next = ()=> iterator.next()
+		.then(({done, value}) => {
+			if (done) return items;
+			items.push(value);
+			return next();
+		});
+	return next();
+}
+
+
+/**
+* Validate and normalize an ISBN-10 or ISBN-13 into ISBN-13 form
+* @param {string} value The candidate ISBN, hyphens and spaces are ignored
+* @returns {string} The 13 digit ISBN or an empty string if the check digit is invalid
+*/
+function normalizeIsbn(value) {
+	var digits = value.replace(/[\s-]+/g, '').toUpperCase();
+	var isbn13Check = digits => (10 - _.sum([...digits].map((d, i) => +d * (i % 2 ? 3 : 1))) % 10) % 10;
+
+	if (/^\d{9}[\dX]$/.test(digits)) { // ISBN-10
+		var sum = _.sum([...digits].map((d, i) => (d == 'X' ? 10 : +d) * (10 - i)));
+		if (sum % 11) return '';
+		return '978' + digits.substr(0, 9) + isbn13Check('978' + digits.substr(0, 9));
+	} else if (/^97[89]\d{10}$/.test(digits)) { // ISBN-13
+		return isbn13Check(digits.substr(0, 12)) == +digits[12] ? digits : '';
+	}
+	return '';
+}
+
+
+/**
+* Validate and normalize an ISSN into `NNNN-NNNC` form
+* @param {string} value The candidate ISSN
+* @returns {string} The ISSN or an empty string if the check digit is invalid
+*/
+function normalizeIssn(value) {
+	var digits = value.replace(/[\s-]+/g, '').toUpperCase();
+	if (!/^\d{7}[\dX]$/.test(digits)) return '';
+
+	var check = (11 - _.sum([...digits.substr(0, 7)].map((d, i) => +d * (8 - i))) % 11) % 11;
+	if ((check == 10 ? 'X' : `${check}`) != digits[7]) return '';
+	return `${digits.substr(0, 4)}-${digits.substr(4)}`;
+}
+
+
+/**
+* Identifier types which can be extracted from references, see `findIdentifiers()`
+* Each type has `fields` which hold the bare identifier, `bare` matching the identifier within those fields, `pattern` matching a self-describing mention of the identifier (e.g. `PMID: 123` or a URL) within any text field and `normalize` to tidy up each match (returning an empty string if invalid)
+* `database` matches the `database` / `databaseProvider` of refs which store the identifier in `accessionNum`
+* The `pmid` + `embase` types are also the default database accession IDs used to compute ref fingerprints, see `Dedupe.settings.fingerprintIds`
+* `matching` specifies if the identifier identifies a single record and can be used to match refs (see the `identifierExtract` mutator), either a boolean or a function called as `(ref)`
+* `cited` optionally matches mentions of other records (e.g. `Comment on: ... PMID: 123`) which are removed before searching for `pattern`
+* @type {Object<Object>}
+*/
+var identifierTypes = {
+	pmid: {
+		fields: ['pmid', 'medlinePMID'],
+		database: /pubmed|medline/i,
+		bare: /^\s*(?:PMID\s*:?\s*)?0*(\d{1,9})\s*$/gi, // Leading zeros are dropped before limiting the length
+		pattern: /\bPMID\s*:?\s*0*(\d{1,9})\b|pubmed\.ncbi\.nlm\.nih\.gov\/0*(\d{1,9})\b|ncbi\.nlm\.nih\.gov\/pubmed\/0*(\d{1,9})\b/gi,
+		normalize: id => id.replace(/^0+/, ''),
+		cited: /\b(?:Comment(?:ary)? (?:on|in)|Erratum (?:for|in)|Update (?:of|in)|(?:Corrected and |Retracted and )?Republished (?:from|in)|Retraction (?:of|in)|Retracted in|Expression of concern (?:for|in)|Reprint (?:of|in)|Summary for patients in|Original report in|Cites)\b[^\r\n]*/gi, // Relations from PubMed, up to the end of the line
+		matching: true,
+	},
+	pmcid: {
+		fields: ['pmcid', 'medlinePubMedCentralID'],
+		bare: /^\s*(?:PMC\s*)?(\d{4,9})\s*$/gi,
+		pattern: /\bPMCID\s*:?\s*(?:PMC)?(\d{4,9})\b|\bPMC(\d{4,9})\b/gi, // Includes URLs such as `ncbi.nlm.nih.gov/pmc/articles/PMC1234567`
+		normalize: id => `PMC${id}`,
+		matching: true,
+	},
+	embase: {
+		fields: ['embase', 'embaseId'],
+		database: /embase/i,
+		bare: /^\s*(L?\d{6,12})\s*$/gi,
+		pattern: /\bEmbase(?:\s+(?:accession(?:\s+number)?|ID))?\s*:?\s*(L\d{6,12})\b|embase\.com\/\S*?[?&]id=(L?\d{6,12})\b/gi,
+		normalize: id => id.toUpperCase(),
+		matching: true,
+	},
+	isbn: {
+		fields: ['isbn'],
+		bare: /\b[\d-]{9,17}[\dX]\b/gi,
+		pattern: /\bISBN(?:-1[03])?\s*:?\s*([\d-]{9,17}[\dX])\b/gi,
+		normalize: normalizeIsbn,
+		matching: ref => ref.type == 'book', // Chapters share the ISBN of their book
+	},
+	issn: {
+		fields: ['issn', 'isbn', 'medlineISSN'], // EndNote stores ISSNs within the ISBN field
+		bare: /\b\d{4}-?\d{3}[\dX]\b/gi,
+		pattern: /\b(?:e-?ISSN|ISSN(?:-L)?)\s*:?\s*(\d{4}-?\d{3}[\dX])\b/gi,
+		normalize: normalizeIssn,
+		matching: false, // Identifies the journal, not the article
+	},
+	nct: {
+		fields: ['nct', 'medlineSecondarySource'], // MEDLINE stores trial registrations as secondary sources e.g. `ClinicalTrials.gov/NCT01234567`
+		bare: /\bNCT\s?(\d{8})\b/gi,
+		pattern: /\bNCT\s?(\d{8})\b/gi,
+		normalize: id => `NCT${id}`,
+		matching: true,
+	},
+	isrctn: {
+		fields: ['isrctn', 'medlineSecondarySource'],
+		bare: /\bISRCTN\s?(\d{8})\b/gi,
+		pattern: /\bISRCTN\s?(\d{8})\b/gi,
+		normalize: id => `ISRCTN${id}`,
+		matching: true,
+	},
+	actrn: {
+		fields: ['actrn', 'medlineSecondarySource'],
+		bare: /\bACTRN\s?(\d{14})\b/gi,
+		pattern: /\bACTRN\s?(\d{14})\b/gi,
+		normalize: id => `ACTRN${id}`,
+		matching: true,
+	},
+};
+
+
+/**
+* Extract all normalized identifiers of a type from a reference
+* The value, the type `fields` and the `accessionNum` (if the ref comes from the type `database`) are searched for bare identifiers while the notes, URLs, accession number and custom fields are searched for self-describing mentions, ignoring any `cited` mentions of other records
+* @param {string} type The identifier type, see `identifierTypes`
+* @param {string|array} value The value of the field being mutated
+* @param {Object} ref The original reference
+* @returns {array<string>} The unique normalized identifiers found
+*/
+function findIdentifiers(type, value, ref) {
+	var {fields, database, bare, pattern, normalize, cited} = identifierTypes[type];
+	var matchAll = (text, re) => [...toText(text).matchAll(re)].map(match => match[1] === undefined ? match.slice(1).find(Boolean) ?? match[0] : match[1]);
+	var matchMentions = text => matchAll(cited ? toText(text).replace(cited, '') : text, pattern);
+
+	return _([
+		...[value, ...fields.map(field => ref[field])].flatMap(text => [...matchAll(text, bare), ...matchMentions(text)]),
+		...(database?.test(`${ref.database || ''} ${ref.databaseProvider || ''}`) ? matchAll(ref.accessionNum, bare) : []),
+		...['notes', 'urls', 'accessionNum', ..._.range(1, 8).map(i => `custom${i}`)].flatMap(field => matchMentions(ref[field])),
+	])
+		.map(normalize)
+		.filter(Boolean)
+		.uniq()
+		.value();
+}
+
+
+/**
+* Compute the order independent lookup key of a pair of ref fingerprints
+* @param {string} a The first fingerprint
+* @param {string} b The second fingerprint
+* @returns {string} The lookup key of the pair
+*/
+function decisionKey(a, b) {
+	return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+
+/**
+* Lay out a PRISMA report (see `Dedupe.prismaReport()`) as a series of tables for rendering
+* @param {Object} report The PRISMA report
+* @returns {array<Object>} Collection of tables, each with a `title`, `headers` and `rows`
+*/
+function reportTables(report) {
+	var sources = Object.keys(report.identified.sources);
+	return [
+		{
+			title: 'Duplicate removal',
+			headers: ['Stage', 'Records'],
+			rows: [
+				['Records identified', report.identified.total],
+				['Duplicate records removed', report.removed.total],
+				['Possible duplicates flagged for manual review', report.review.total],
+				['Records remaining', report.remaining.total],
+			],
+		},
+		...(sources.length ? [{
+			title: 'Records per source',
+			headers: ['Source', 'Identified', 'Duplicates removed', 'Flagged for review', 'Remaining'],
+			rows: sources.map(source => [
+				source,
+				report.identified.sources[source],
+				report.removed.sources[source],
+				report.review.sources[source],
+				report.remaining.sources[source],
+			]),
+		}] : []),
+		{
+			title: 'Duplicates found per step',
+			headers: ['Step', 'Fields', 'Duplicates found'],
+			rows: report.steps.map(step => [step.step, step.title, step.duplicates]),
+		},
+	];
+}
+
+
+/**
+* Escape a value for use within HTML
+* @param {*} value The value to escape
+* @returns {string} The HTML safe string
+*/
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+
+/**
+* Format a value as a CSV cell, quoting if needed
+* @param {*} value The value to format
+* @returns {string} The CSV cell
+*/
+function toCsvCell(value) {
+	var text = String(value ?? '');
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+
+/**
+* Suggest the closest known option to a mistyped value
+* @param {string} value The unknown value
+* @param {array<string>} options The known options
+* @returns {string} A suggestion suffix for an error message (e.g. ` - did you mean "exact"?`) or an empty string if nothing is close enough
+*/
+function didYouMean(value, options) {
+	var closest = _.maxBy(options, option => levenshteinRatio(_.toLower(value), option.toLowerCase()));
+	return closest && levenshteinRatio(_.toLower(value), closest.toLowerCase()) >= 0.6
+		? ` - did you mean "${closest}"?`
+		: '';
+}
+
+
+/**
+* Format structured strategy validation errors into a single human-readable string
+* @param {array<Object>} errs Collection of errors as returned by `Dedupe.validateStrategy()`
+* @returns {string} The errors formatted as `path: message` joined by commas
+*/
+function formatStrategyErrors(errs) {
+	return errs.map(err => err.path ? `${err.path}: ${err.message}` : err.message).join(', ');
+}
 
 /**
 * Dedupe class
@@ -18,28 +390,61 @@ export default class Dedupe extends EventEmitter {
 	* Instance settings
 	* Can be set using the utility function `set(key, val)`
 	* @type {Object} The settings to use in this Dedupe instance
-	* @property {string} strategy The strategy to use on the next `run()` call
+	* @property {string|Object} strategy The strategy to use on the next `run()` call, either the ID of a strategy within `strategies` or a strategy object
 	* @property {boolean} validateStrategy Validate the strategy before beginning, only disable this if you are sure the strategy is valid
 	* @property {string} action The action to take when detecting a duplicate. ENUM: ACTIONS
 	* @property {string} actionField The field to use with actions
-	* @property {number} threshold Floating value (between 0 and 1) when marking or deleting refs automatically
+	* @property {number} threshold Floating value (between 0 and 1) when marking or deleting refs automatically, if null the strategy `threshold` is used or 0.1
+	* @property {number} reviewThreshold Lower floating value (between 0 and `threshold`), refs scoring between this and `threshold` are flagged for manual review rather than removed. If null the strategy `reviewThreshold` is used or `threshold` (no review band)
 	* @property {string|function} markOk String value to set the action field to when `actionField=='mark'` and the ref is a non-dupe, if a function it is called as `(ref)`
 	* @property {string|function} markDupe String value to set the action field to when `actionField=='mark'` and the ref is a dupe, if a function it is called as `(ref)`
+	* @property {string|function} markReview String value to set the action field to when `actionField=='mark'` and the ref needs manual review (see `reviewThreshold`), if a function it is called as `(ref)`
 	* @property {string} dupeRef How to refer to other refs when `actionfield=='stats'`. ENUM: DUPEREF
-	* @property {string} fieldWeight Whether to use the minimum score between fields or the average when deciding if dupe
+	* @property {string} fieldWeight Whether to use the minimum score between fields or the average when deciding if dupe, if null the strategy `fieldWeight` is used or `FIELDWEIGHT.MINIMUM`. ENUM: FIELDWEIGHT
 	* @property {string} markOriginal Whether mark the original duplicate as a dupe or not
+	* @property {array<string>} primaryFields Prefer refs which have these fields populated when choosing the primary ref of a duplicate cluster
+	* @property {string} sourceField Field to tag each ref with the name of its source when `run()` is given named sources, this is also used to compute source statistics (see `getSourceStats()`)
+	* @property {array<string>} sourcePriority Source names in order of preference, when two refs from different sources are duplicates the ref from the earlier source is kept. Unlisted sources are least preferred
+	* @property {Object<string>} mergeRules Lookup of field -> merge method (see `merges`) to use when `action=='merge'`, any unlisted field uses `fill`
+	* @property {boolean} explain Record an explanation of each duplicate pair (see `explainPair()`) and include them as `explain` when `action=='stats'` or `action=='cluster'`
+	* @property {string|boolean} sourceFileField Field to tag each ref with the base name of the file it was read from when `run()` is given file paths, set to false to disable
+	* @property {boolean} lean Reduce memory usage by only copying the fields the strategy needs (see `getStrategyFields()`) into each mutated ref
+	* @property {number} threads Number of worker threads to run strategy steps in, 0 or 1 runs all steps on the main thread
+	* @property {AbortSignal} signal Optional signal to cancel runs, aborting rejects the run with the signal reason. Steps on the main thread can only be aborted between steps
+	* @property {array<Object>} decisions Prior manual review decisions as `{a, b, decision}` where `a` + `b` are ref fingerprints (see `getFingerprint()`) and `decision` is a DECISIONS value. Pairs decided as the same are always linked, pairs decided as different are never directly linked, see `decide()`
+	* @property {array<string>} fingerprintFields The identifying fields used to compute ref fingerprints, see `getFingerprint()`
+	* @property {Object<Object>} fingerprintIds Lookup of database name -> `{fields, database, bare, normalize}` of database accession IDs which take priority over `fingerprintFields` when computing ref fingerprints. `fields` are the ref fields which always hold that databases ID, `database` a RegExp matching the `database` or `databaseProvider` field when the ID is stored in the generic `accessionNum` field and the optional `bare` (global RegExp) + `normalize` (function) extract and tidy the ID, see `getAccessionId()`. Defaults to the `pmid` + `embase` identifier types used by the identifier mutators
 	*/
 	settings = {
 		strategy: 'clark',
 		validateStrategy: true,
 		action: 0,
 		actionField: 'dedupe',
-		threshold: 0.1,
+		threshold: null,
+		reviewThreshold: null,
 		markOk: 'OK',
 		markDupe: 'DUPE',
+		markReview: 'REVIEW',
 		dupeRef: 0,
-		fieldWeight: 0,
+		fieldWeight: null,
 		markOriginal: false,
+		primaryFields: ['doi'],
+		sourceField: 'source',
+		sourcePriority: [],
+		mergeRules: {
+			abstract: 'longest',
+			keywords: 'union',
+			urls: 'union',
+			database: 'join',
+		},
+		sourceFileField: 'sourceFile',
+		explain: false,
+		lean: false,
+		threads: 0,
+		signal: null,
+		decisions: [],
+		fingerprintFields: ['doi', 'title', 'year', 'journal', 'volume', 'pages'],
+		fingerprintIds: _.pick(identifierTypes, ['pmid', 'embase']),
 	};
 
 
@@ -51,6 +456,8 @@ export default class Dedupe extends EventEmitter {
 		STATS: 0,
 		MARK: 1,
 		DELETE: 2,
+		CLUSTER: 3,
+		MERGE: 4,
 	};
 
 
@@ -60,6 +467,7 @@ export default class Dedupe extends EventEmitter {
 	static DUPEREF = {
 		INDEX: 0,
 		RECNUMBER: 1,
+		FINGERPRINT: 2,
 	};
 
 
@@ -72,6 +480,15 @@ export default class Dedupe extends EventEmitter {
 	}
 
 
+	/**
+	* Available manual review decisions for a pair of refs, see `decide()`
+	*/
+	static DECISIONS = {
+		SAME: 'same',
+		DIFFERENT: 'different',
+	};
+
+
 	// Comparisons {{{
 	/**
 	* Lookup for all supported comparison methods
@@ -101,12 +518,94 @@ export default class Dedupe extends EventEmitter {
 			description: 'String distance / difference calculator using the [Jaro-Winkler metric](https://en.wikipedia.org/wiki/Jaro%E2%80%93Winkler_distance)',
 			handler: (a, b) => jaroWinklerDistance(a, b),
 		},
+		levenshtein: {
+			title: 'Levenshtein ratio',
+			description: 'Normalized <a href="https://en.wikipedia.org/wiki/Levenshtein_distance">Levenshtein edit distance</a> where 1 is identical',
+			handler: (a, b) => levenshteinRatio(toText(a), toText(b)),
+		},
+		tokenSort: {
+			title: 'Token sort ratio',
+			description: 'Levenshtein ratio of both inputs after splitting into words and sorting them, ignoring word order',
+			handler: (a, b) => levenshteinRatio(toTokens(a).sort().join(' '), toTokens(b).sort().join(' ')),
+		},
+		tokenSet: {
+			title: 'Token set ratio',
+			description: 'Levenshtein ratio of the shared words against the shared words plus the remainder of each input, ignoring word order, duplicate and inserted words',
+			handler: (a, b) => {
+				var tokensA = _.uniq(toTokens(a)).sort();
+				var tokensB = _.uniq(toTokens(b)).sort();
+				var shared = _.intersection(tokensA, tokensB).join(' ');
+				var withA = _.trim(shared + ' ' + _.difference(tokensA, tokensB).join(' '));
+				var withB = _.trim(shared + ' ' + _.difference(tokensB, tokensA).join(' '));
+				return Math.max(
+					levenshteinRatio(shared, withA),
+					levenshteinRatio(shared, withB),
+					levenshteinRatio(withA, withB),
+				);
+			},
+		},
+		jaccard: {
+			title: 'Jaccard n-gram',
+			description: '<a href="https://en.wikipedia.org/wiki/Jaccard_index">Jaccard index</a> of the character trigrams within both inputs, useful for long fields such as abstracts',
+			handler: (a, b) => {
+				var {shared, sizeA, sizeB} = setOverlap(toNgrams(a, 3), toNgrams(b, 3));
+				return sizeA + sizeB ? shared / (sizeA + sizeB - shared) : 1;
+			},
+		},
+		dice: {
+			title: 'Sørensen–Dice',
+			description: '<a href="https://en.wikipedia.org/wiki/S%C3%B8rensen%E2%80%93Dice_coefficient">Sørensen–Dice coefficient</a> of the character bigrams within both inputs',
+			handler: (a, b) => {
+				var {shared, sizeA, sizeB} = setOverlap(toNgrams(a, 2), toNgrams(b, 2));
+				return sizeA + sizeB ? 2 * shared / (sizeA + sizeB) : 1;
+			},
+		},
+		mongeElkan: {
+			title: 'Monge-Elkan',
+			description: 'Symmetric <a href="https://www.researchgate.net/publication/2391283_The_Field_Matching_Problem_Algorithms_and_Applications">Monge-Elkan</a> similarity for lists (e.g. authors), averaging the best Jaro-Winkler match of each item against the other list. Strings are split on commas or semi-colons',
+			handler: (a, b) => {
+				var listA = (_.isArray(a) ? a : toText(a).split(/\s*[,;]\s*/)).filter(Boolean);
+				var listB = (_.isArray(b) ? b : toText(b).split(/\s*[,;]\s*/)).filter(Boolean);
+				if (!listA.length || !listB.length) return 0;
+				var bestMatches = (from, to) => _.mean(from.map(itemFrom => _.max(to.map(itemTo => jaroWinklerDistance(itemFrom, itemTo)))));
+				return (bestMatches(listA, listB) + bestMatches(listB, listA)) / 2;
+			},
+		},
+		authorOverlap: {
+			title: 'Author overlap',
+			description: 'Parse both author lists into surname + initial and score half on the first author matching and half on the proportion of authors shared with the shorter list. Handles differing author counts, ordering and "et al." truncation',
+			handler: (a, b) => {
+				var authorsA = this.parseAuthors(a);
+				var authorsB = this.parseAuthors(b);
+				if (!authorsA.length || !authorsB.length) return 0;
+
+				var shared = _.intersection(authorsA, authorsB).length;
+				return (authorsA[0] == authorsB[0] ? 0.5 : 0)
+					+ 0.5 * shared / Math.min(_.uniq(authorsA).length, _.uniq(authorsB).length);
+			},
+		},
+		shared: {
+			title: 'Any shared item',
+			description: 'Score 1 if the two whitespace separated lists (or arrays) share any item, e.g. identifiers extracted via the <code>identifierExtract</code> mutator',
+			handler: (a, b) => {
+				var listA = _.isArray(a) ? a : toText(a).split(/\s+/).filter(Boolean);
+				var listB = _.isArray(b) ? b : toText(b).split(/\s+/).filter(Boolean);
+				return _.intersection(listA, listB).length ? 1 : 0;
+			},
+		},
 		random: {
 			title: 'Random',
 			description: 'Ignore comparisons and pick a number between 0 and 1',
 			handler: (a, b) => _.random(0, 1, true),
 		},
 	};
+
+
+	/**
+	* Copy of the built-in comparisons, worker threads only have these so steps using any other comparison run on the main thread, see `findHitsThreaded()`
+	* @type {Object<Object>}
+	*/
+	builtinComparisons = {...this.comparisons};
 	// }}}
 
 	// Mutators {{{
@@ -217,6 +716,45 @@ export default class Dedupe extends EventEmitter {
 				}
 			},
 		},
+		pmidRewrite: {
+			title: 'Extract PubMed IDs',
+			description: 'Find PubMed IDs within the field, <code>pmid</code> / <code>medlinePMID</code>, the accession number of PubMed records, notes and URLs. Multiple IDs are space separated',
+			handler: (v, ref) => findIdentifiers('pmid', v, ref).join(' '),
+		},
+		pmcidRewrite: {
+			title: 'Extract PubMed Central IDs',
+			description: 'Find PubMed Central IDs within the field, <code>pmcid</code>, notes, URLs and custom fields, normalized as <code>PMC1234567</code>. Multiple IDs are space separated',
+			handler: (v, ref) => findIdentifiers('pmcid', v, ref).join(' '),
+		},
+		embaseRewrite: {
+			title: 'Extract Embase IDs',
+			description: 'Find Embase accession numbers within the field, <code>embase</code> / <code>embaseId</code>, the accession number of Embase records, notes and URLs. Multiple IDs are space separated',
+			handler: (v, ref) => findIdentifiers('embase', v, ref).join(' '),
+		},
+		isbnRewrite: {
+			title: 'Extract ISBNs',
+			description: 'Find valid ISBNs within the field, <code>isbn</code> and notes, normalized as ISBN-13 digits. Multiple ISBNs are space separated',
+			handler: (v, ref) => findIdentifiers('isbn', v, ref).join(' '),
+		},
+		issnRewrite: {
+			title: 'Extract ISSNs',
+			description: 'Find valid ISSNs within the field, <code>issn</code>, <code>isbn</code> (where EndNote stores ISSNs) and notes, normalized as <code>1234-567X</code>. Multiple ISSNs are space separated',
+			handler: (v, ref) => findIdentifiers('issn', v, ref).join(' '),
+		},
+		trialIdRewrite: {
+			title: 'Extract trial registry IDs',
+			description: 'Find ClinicalTrials.gov (<code>NCT</code>), ISRCTN and ANZCTR (<code>ACTRN</code>) trial registration numbers within the field, accession number, notes and URLs. Multiple IDs are space separated',
+			handler: (v, ref) => ['nct', 'isrctn', 'actrn'].flatMap(type => findIdentifiers(type, v, ref)).join(' '),
+		},
+		identifierExtract: {
+			title: 'Extract all identifiers',
+			description: 'Find every identifier which identifies a single record - PubMed, PubMed Central and Embase IDs, trial registry IDs and ISBNs of books - as a sorted space separated list of <code>type:id</code> values e.g. <code>pmid:12345678 nct:NCT01234567</code>. ISSNs and ISBNs of book sections are excluded as these are shared by many records. Use with the <code>shared</code> comparison',
+			handler: (v, ref) => _(identifierTypes)
+				.pickBy(type => _.isFunction(type.matching) ? type.matching(ref) : type.matching)
+				.flatMap((type, id) => findIdentifiers(id, v, ref).map(identifier => `${id}:${identifier}`))
+				.sort()
+				.join(' '),
+		},
 		numericOnly: {
 			title: 'Numeric only',
 			description: 'Remove all non-numeric characters',
@@ -255,6 +793,180 @@ export default class Dedupe extends EventEmitter {
 	};
 	// }}}
 
+	// Merges {{{
+	/**
+	* Lookup for all supported merge methods used when combining duplicate refs
+	* @type {Object<Object>} Lookup object of merge methods
+	* @property {string} title The short human-readable title of the merge method
+	* @property {string} description A longer HTML compatible description of the merge method
+	* @property {function} handler A function, called as `(values)` with the field values of all refs in the cluster (primary first) which is expected to return the merged value
+	*/
+	merges = {
+		fill: {
+			title: 'Fill',
+			description: 'Use the primary value, filling it from the first duplicate which has a value if it is missing',
+			handler: values => values.find(v => !this.isBlank(v)) ?? values[0],
+		},
+		primary: {
+			title: 'Primary only',
+			description: 'Always use the primary value, even if it is missing',
+			handler: values => values[0],
+		},
+		longest: {
+			title: 'Longest',
+			description: 'Use the longest value, preferring the primary if tied',
+			handler: values => _.maxBy(values.filter(v => !this.isBlank(v)), v => toText(v).length),
+		},
+		union: {
+			title: 'Union',
+			description: 'Combine all values into an array of unique values',
+			handler: values => _(values)
+				.flatMap(v => this.isBlank(v) ? [] : _.castArray(v))
+				.uniq()
+				.value(),
+		},
+		join: {
+			title: 'Join',
+			description: 'Combine all unique values into a single string seperated with <code>; </code>',
+			handler: values => _(values)
+				.flatMap(v => this.isBlank(v) ? [] : _.castArray(v))
+				.uniq()
+				.join('; '),
+		},
+	};
+	// }}}
+
+	// Report formats {{{
+	/**
+	* Lookup for all supported PRISMA report formats used by `renderReport()`
+	* @type {Object<Object>} Lookup object of report formats
+	* @property {string} title The short human-readable title of the format
+	* @property {string} description A longer HTML compatible description of the format
+	* @property {array<string>} extensions File extensions which use this format
+	* @property {function} handler A function, called as `(report)` with the output of `prismaReport()` which is expected to return the rendered report as a string
+	*/
+	reportFormats = {
+		json: {
+			title: 'JSON',
+			description: 'The raw report object as JSON',
+			extensions: ['.json'],
+			handler: report => JSON.stringify(report, null, '\t'),
+		},
+		markdown: {
+			title: 'Markdown',
+			description: 'Markdown tables of the overall, per-source and per-step counts',
+			extensions: ['.md', '.markdown'],
+			handler: report => reportTables(report)
+				.map(table => [
+					`## ${table.title}`,
+					'',
+					`| ${table.headers.join(' | ')} |`,
+					`|${table.headers.map(()=> '---').join('|')}|`,
+					...table.rows.map(row => `| ${row.join(' | ')} |`),
+				].join('\n'))
+				.join('\n\n') + '\n',
+		},
+		csv: {
+			title: 'CSV',
+			description: 'Long format CSV with the columns <code>section</code>, <code>name</code>, <code>measure</code> and <code>count</code>',
+			extensions: ['.csv'],
+			handler: report => [
+				['section', 'name', 'measure', 'count'],
+				...['identified', 'removed', 'review', 'remaining'].flatMap(measure => [
+					['overall', '', measure, report[measure].total],
+					...Object.entries(report[measure].sources).map(([source, count]) => ['source', source, measure, count]),
+				]),
+				...report.steps.map(step => ['step', step.title, 'duplicates', step.duplicates]),
+			]
+				.map(row => row.map(toCsvCell).join(','))
+				.join('\n') + '\n',
+		},
+		html: {
+			title: 'HTML',
+			description: 'HTML tables of the overall, per-source and per-step counts',
+			extensions: ['.html', '.htm'],
+			handler: report => reportTables(report)
+				.map(table => [
+					`<h2>${escapeHtml(table.title)}</h2>`,
+					'<table>',
+					`\t<thead><tr>${table.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+					'\t<tbody>',
+					...table.rows.map(row => `\t\t<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+					'\t</tbody>',
+					'</table>',
+				].join('\n'))
+				.join('\n') + '\n',
+		},
+	};
+	// }}}
+
+	// Blockers {{{
+	/**
+	* Lookup for all supported blocking keys used when a step specifies `blocking`
+	* @type {Object<Object>} Lookup object of blocking methods
+	* @property {string} title The short human-readable title of the blocker
+	* @property {string} description A longer HTML compatible description of the blocker
+	* @property {array<string>} fields The ref fields the handler uses, these are retained when `settings.lean` is enabled
+	* @property {function} handler A function, called as `(ref, blocking)` with the mutated ref and the step blocking options, which is expected to return a key (or array of keys) to bucket the ref under. Blank keys are not bucketed
+	*/
+	blockers = {
+		doi: {
+			title: 'DOI',
+			description: 'Bucket refs by their DOI',
+			fields: ['doi'],
+			handler: ref => toText(ref.doi),
+		},
+		identifiers: {
+			title: 'Identifiers',
+			description: 'Bucket refs by each of their identifiers, see the <code>identifierExtract</code> mutator',
+			fields: ['identifiers'],
+			handler: ref => toText(ref.identifiers).split(/\s+/),
+		},
+		titlePrefix: {
+			title: 'Title prefix',
+			description: 'Bucket refs by the first <code>blocking.prefixLength</code> (default 10) alpha-numeric characters of their title, ignoring case and punctuation',
+			fields: ['title'],
+			handler: (ref, blocking) => toText(ref.title)
+				.replace(/[^0-9A-Za-z]+/g, '')
+				.toLowerCase()
+				.substr(0, blocking.prefixLength ?? 10),
+		},
+		yearAuthor: {
+			title: 'Year + first author',
+			description: 'Bucket refs by their year and the surname of their first author',
+			fields: ['year', 'authors'],
+			handler: ref => {
+				var year = toText(ref.year).replace(/[^0-9]+/g, '');
+				var firstAuthor = this.parseAuthors(ref.authors)[0];
+				return year && firstAuthor ? `${year}:${firstAuthor.replace(/ [a-z]$/, '')}` : '';
+			},
+		},
+		minhash: {
+			title: 'MinHash LSH',
+			description: 'Bucket refs using <a href="https://en.wikipedia.org/wiki/Locality-sensitive_hashing">locality-sensitive hashing</a> of the MinHash signature of their title trigrams. Refs with similar titles are likely to share at least one of the <code>blocking.bands</code> (default 8) buckets, each made from <code>blocking.rows</code> (default 4) hashes',
+			fields: ['title'],
+			handler: (ref, blocking) => {
+				var bands = blocking.bands ?? 8;
+				var rows = blocking.rows ?? 4;
+				var shingles = [...toNgrams(toText(ref.title).replace(/[^0-9A-Za-z]+/g, '').toLowerCase(), 3)].map(hashString);
+				if (!shingles.length) return [];
+
+				var signature = _.range(bands * rows).map(seed =>
+					_.min(shingles.map(shingle => mixHash(shingle, seed)))
+				);
+				return _.chunk(signature, rows).map((band, bandIndex) => `${bandIndex}:${band.join(',')}`);
+			},
+		},
+	};
+
+
+	/**
+	* Copy of the built-in blockers, worker threads only have these so steps using any other blocker run on the main thread, see `findHitsThreaded()`
+	* @type {Object<Object>}
+	*/
+	builtinBlockers = {...this.blockers};
+	// }}}
+
 	// Strategies {{{
 	static strategies = {
 		clark,
@@ -263,7 +975,16 @@ export default class Dedupe extends EventEmitter {
 		forbesMinFN,
 		forbesMinFP,
 		doiOnly,
+		identifiers,
 	};
+
+
+	/**
+	* Lookup for all strategies available to this instance
+	* This starts as a copy of `Dedupe.strategies` and can be extended with `registerStrategy()` without affecting other instances
+	* @type {Object<Object>} Lookup object of strategies
+	*/
+	strategies = {...Dedupe.strategies};
 	// }}}
 
 
@@ -296,43 +1017,285 @@ export default class Dedupe extends EventEmitter {
 
 
 	/**
-	* Validate a strategy object
+	* Register a custom strategy with this instance
+	* @param {string} id The ID of the strategy, used as `settings.strategy`
+	* @param {Object} strategy The strategy object to register, validated first if `settings.validateStrategy` is enabled
+	* @returns {Dedupe} This chainable instance
+	*/
+	registerStrategy(id, strategy) {
+		if (this.settings.validateStrategy) {
+			var sErrs = this.validateStrategy(strategy);
+			if (sErrs !== true) throw new Error(`Invalid strategy "${id}" - ` + formatStrategyErrors(sErrs));
+		}
+
+		this.strategies[id] = strategy;
+		return this;
+	}
+
+
+	/**
+	* Register a custom mutator with this instance
+	* @param {string} id The ID of the mutator, as used within strategy `mutators`
+	* @param {Object|function} mutator Either a mutator object (see `mutators`) or a handler function called as `(v, original)`
+	* @returns {Dedupe} This chainable instance
+	*/
+	registerMutator(id, mutator) {
+		if (_.isFunction(mutator)) mutator = {title: id, description: '', handler: mutator};
+		if (!_.isFunction(mutator?.handler)) throw new Error(`Mutator "${id}" must provide a handler function`);
+
+		this.mutators[id] = mutator;
+		return this;
+	}
+
+
+	/**
+	* Register a custom comparison with this instance
+	* @param {string} id The ID of the comparison, as used within strategy steps
+	* @param {Object|function} comparison Either a comparison object (see `comparisons`) or a handler function called as `(a, b)`
+	* @returns {Dedupe} This chainable instance
+	*/
+	registerComparison(id, comparison) {
+		if (_.isFunction(comparison)) comparison = {title: id, description: '', handler: comparison};
+		if (!_.isFunction(comparison?.handler)) throw new Error(`Comparison "${id}" must provide a handler function`);
+
+		this.comparisons[id] = comparison;
+		return this;
+	}
+
+
+	/**
+	* Load a strategy from a JSON or YAML file
+	* The strategy is validated if `settings.validateStrategy` is enabled, use `registerStrategy()` or `set('strategy', strategy)` to use it
+	* @param {string} path The path of the file to load, the format is determined from the extension (`.json`, `.yml` or `.yaml`)
+	* @returns {Promise<Object>} The loaded strategy object
+	*/
+	loadStrategy(path) {
+		return Promise.resolve()
+			.then(()=> {
+				if (!['.json', '.yml', '.yaml'].includes(extname(path).toLowerCase())) throw new Error(`Unable to load strategy from "${path}" - only JSON and YAML files are supported`);
+				return readFile(path, 'utf8');
+			})
+			.then(contents => extname(path).toLowerCase() == '.json'
+				? JSON.parse(contents)
+				: yaml.load(contents)
+			)
+			.then(strategy => {
+				if (!_.isPlainObject(strategy)) throw new Error(`Strategy file "${path}" does not contain an object`);
+				if (!this.settings.validateStrategy) return strategy;
+
+				var sErrs = this.validateStrategy(strategy);
+				if (sErrs !== true) throw new Error(`Invalid strategy file "${path}" - ` + formatStrategyErrors(sErrs));
+				return strategy;
+			})
+	}
+
+
+	/**
+	* Validate a strategy object against the strategy schema
+	* Unknown keys, mistyped values and references to mutators, comparisons or blocking keys which do not exist are all reported
 	* @param {object} strategy The strategy object to validate
-	* @returns {boolean|array} Either a boolean True if the strategy is valid or an array of errors
+	* @returns {boolean|array<Object>} Either a boolean True if the strategy is valid or an array of errors
+	* @property {string} path The path to the offending key within the strategy e.g. `steps[1].fields[0].comparison`
+	* @property {string} message A human-readable description of the problem
 	*/
 	validateStrategy(strategy) {
 		var errs = [];
+		var err = (path, message) => errs.push({path, message});
+
+		/**
+		* Check that an object does not contain any keys outside of a known list
+		* @param {Object} obj The object to examine
+		* @param {string} path The path prefix of the object
+		* @param {array<string>} keys The known keys
+		*/
+		var checkKeys = (obj, path, keys) => Object.keys(obj)
+			.filter(key => !keys.includes(key))
+			.forEach(key => err(path ? `${path}.${key}` : key, `Unknown key "${key}"${didYouMean(key, keys)}`));
 
-		['title', 'description', 'mutators', 'steps'].forEach(f => {
-			if (!strategy[f]) errs.push(`Field ${f} is missing`);
+		/**
+		* Check that an optional value is a number within a range
+		* @param {*} value The value to examine
+		* @param {string} path The path of the value
+		* @param {Object} [options] Additional options
+		* @param {number} [options.min=0] The minimum allowable value
+		* @param {number} [options.max=Infinity] The maximum allowable value
+		* @param {boolean} [options.integer=false] Whether the value must be an integer
+		*/
+		var checkNumber = (value, path, {min = 0, max = Infinity, integer = false} = {}) => {
+			if (value === undefined) return;
+			if (!_.isNumber(value) || _.isNaN(value) || (integer && !Number.isInteger(value))) return err(path, `Must be ${integer ? 'an integer' : 'a number'}`);
+			if (value < min || value > max) err(path, max < Infinity ? `Must be between ${min} and ${max}` : `Must be at least ${min}`);
+		};
+
+		if (!_.isPlainObject(strategy)) return [{path: '', message: 'Strategy must be an object'}];
+
+		// Strategy {{{
+		checkKeys(strategy, '', ['title', 'description', 'threshold', 'reviewThreshold', 'fieldWeight', 'mutators', 'steps']);
+		['title', 'description'].forEach(key => {
+			if (!strategy[key]) return err(key, 'Required');
+			if (!_.isString(strategy[key])) err(key, 'Must be a string');
 		});
+		checkNumber(strategy.threshold, 'threshold', {max: 1});
+		checkNumber(strategy.reviewThreshold, 'reviewThreshold', {max: _.isNumber(strategy.threshold) ? strategy.threshold : 1});
+		if (strategy.fieldWeight !== undefined && !_.has(Dedupe.FIELDWEIGHT, _.toUpper(strategy.fieldWeight)) && !Object.values(Dedupe.FIELDWEIGHT).includes(strategy.fieldWeight))
+			err('fieldWeight', `Unknown field weight "${strategy.fieldWeight}", choose one of ${Object.keys(Dedupe.FIELDWEIGHT).map(_.toLower).join(', ')}${didYouMean(strategy.fieldWeight, Object.keys(Dedupe.FIELDWEIGHT).map(_.toLower))}`);
+		// }}}
+
+		// Mutators {{{
+		if (strategy.mutators !== undefined && !_.isPlainObject(strategy.mutators)) {
+			err('mutators', 'Must be an object of field -> mutator(s)');
+		} else if (strategy.mutators) {
+			_.forEach(strategy.mutators, (mutators, field) => {
+				if (!_.isString(mutators) && !(_.isArray(mutators) && mutators.length)) return err(`mutators.${field}`, 'Must be a mutator name or an array of mutator names');
+				_.castArray(mutators).forEach((mutator, mutatorIndex) => {
+					var path = _.isArray(mutators) ? `mutators.${field}[${mutatorIndex}]` : `mutators.${field}`;
+					if (!_.isString(mutator)) return err(path, 'Must be a mutator name');
+					if (!this.mutators[mutator]) err(path, `Unknown mutator "${mutator}"${didYouMean(mutator, Object.keys(this.mutators))}`);
+				});
+			});
+		}
+		// }}}
+
+		// Steps {{{
+		if (!_.isArray(strategy.steps)) {
+			err('steps', strategy.steps ? 'Must be an array of steps' : 'Required');
+			return errs;
+		}
+		if (!strategy.steps.length) err('steps', 'Should contain at least one step');
+
+		var knownFields = _.uniq([ // All fields mentioned by the strategy, used to catch mistyped sort fields
+			...Object.keys(_.isPlainObject(strategy.mutators) ? strategy.mutators : {}),
+			...strategy.steps.flatMap(step => _.isArray(step?.fields) ? step.fields.map(field => _.isString(field) ? field : field?.field) : []),
+		]).filter(_.isString);
+
+		strategy.steps.forEach((step, stepIndex) => {
+			var stepPath = `steps[${stepIndex}]`;
+			if (!_.isPlainObject(step)) return err(stepPath, 'Must be an object');
+
+			checkKeys(step, stepPath, ['title', 'fields', 'sort', 'window', 'comparison', 'skipOmitted', 'threshold', 'blocking']);
+			if (step.title !== undefined && !_.isString(step.title)) err(`${stepPath}.title`, 'Must be a string');
+			if (step.skipOmitted !== undefined && !_.isBoolean(step.skipOmitted)) err(`${stepPath}.skipOmitted`, `Must be true or false, not ${JSON.stringify(step.skipOmitted)}`);
+			checkNumber(step.threshold, `${stepPath}.threshold`, {max: 1});
+			checkNumber(step.window, `${stepPath}.window`, {integer: true});
+			if (step.comparison !== undefined && !this.comparisons[step.comparison]) err(`${stepPath}.comparison`, `Unknown comparison "${step.comparison}"${didYouMean(step.comparison, Object.keys(this.comparisons))}`);
+
+			// Fields {{{
+			if (!_.isArray(step.fields) || !step.fields.length) {
+				err(`${stepPath}.fields`, 'Should contain at least one field');
+			} else {
+				step.fields.forEach((field, fieldIndex) => {
+					var fieldPath = `${stepPath}.fields[${fieldIndex}]`;
+					if (_.isString(field)) {
+						if (!step.comparison) err(fieldPath, 'Has no comparison and the step does not specify one');
+						return;
+					}
+					if (!_.isPlainObject(field)) return err(fieldPath, 'Must be a field name or a field rule object');
+
+					checkKeys(field, fieldPath, ['field', 'comparison', 'missing', 'threshold', 'weight']);
+					if (!_.isString(field.field) || !field.field) err(`${fieldPath}.field`, 'Required');
+					if (!field.comparison && !step.comparison) err(fieldPath, 'Has no comparison and the step does not specify one');
+					if (field.comparison && !this.comparisons[field.comparison]) err(`${fieldPath}.comparison`, `Unknown comparison "${field.comparison}"${didYouMean(field.comparison, Object.keys(this.comparisons))}`);
+					if (field.missing !== undefined && !['zero', 'compare', 'ignore'].includes(field.missing)) err(`${fieldPath}.missing`, `Invalid missing policy "${field.missing}", choose one of zero, compare, ignore`);
+					checkNumber(field.threshold, `${fieldPath}.threshold`, {max: 1});
+					checkNumber(field.weight, `${fieldPath}.weight`);
+				});
+			}
+			// }}}
+
+			// Sort {{{
+			if (step.sort === undefined) {
+				if (!step.blocking) err(`${stepPath}.sort`, 'Required unless the step uses blocking');
+			} else if (_.isArray(step.sort) ? !step.sort.length : !_.isString(step.sort) || !step.sort) {
+				err(`${stepPath}.sort`, 'Must be a field name or a non-empty array of field names');
+			} else {
+				_.castArray(step.sort).forEach((sortField, sortIndex) => {
+					var sortPath = _.isArray(step.sort) ? `${stepPath}.sort[${sortIndex}]` : `${stepPath}.sort`;
+					if (!_.isString(sortField)) return err(sortPath, 'Must be a field name');
+					if (!knownFields.includes(sortField)) err(sortPath, `Sort field "${sortField}" is not compared or mutated anywhere in the strategy${didYouMean(sortField, knownFields)}`);
+				});
+			}
+			// }}}
 
-		if (!strategy.steps.length) errs.push('Should contain at least one step');
+			// Blocking {{{
+			if (step.blocking === undefined) return;
+			var blockPath = `${stepPath}.blocking`;
+			if (!_.isPlainObject(step.blocking)) return err(blockPath, 'Must be an object');
 
-		if (strategy.steps) strategy.steps.forEach((step, stepIndex) => {
-			if (!step.fields || !step.fields.length) errs.push(`Step #${stepIndex+1} contains no fields`);
-			if (!step.sort) errs.push(`Step #${stepIndex+1} contains no sort field(s)`);
-			if (_.isArray(step.sort) && !step.sort.length) errs.push(`Step #${stepIndex+1} contains a blank sort field list`)
-			if (!step.comparison) errs.push(`Step #${stepIndex+1} contains no comparison`);
+			checkKeys(step.blocking, blockPath, ['keys', 'window', 'maxBlockSize', 'prefixLength', 'bands', 'rows']);
+			if (!_.isArray(step.blocking.keys) || !step.blocking.keys.length) {
+				err(`${blockPath}.keys`, 'Should contain an array of blocking keys');
+			} else {
+				step.blocking.keys.forEach((key, keyIndex) => {
+					if (!this.blockers[key]) err(`${blockPath}.keys[${keyIndex}]`, `Unknown blocking key "${key}"${didYouMean(key, Object.keys(this.blockers))}`);
+				});
+			}
+			checkNumber(step.blocking.window, `${blockPath}.window`, {integer: true});
+			['maxBlockSize', 'prefixLength', 'bands', 'rows'].forEach(key =>
+				checkNumber(step.blocking[key], `${blockPath}.${key}`, {min: 1, integer: true})
+			);
+			// }}}
 		});
+		// }}}
 
 		return errs.length > 0 ? errs : true;
 	};
 
 
+	/**
+	* Normalize the fields of a step into a collection of field rule objects
+	* Fields can be specified as either a simple string or an object with the keys below, any omitted keys are inherited from the step
+	* @param {Object} step The step object to examine
+	* @returns {array<Object>} Collection of field rules
+	* @property {string} field The field to compare
+	* @property {string} comparison The comparison method to use for this field
+	* @property {string} missing How to handle the field being missing on either side. ENUM: 'zero' (score as zero), 'compare' (compare anyway), 'ignore' (omit the field from the step score)
+	* @property {number} [threshold=0] Minimum comparison score for this field, anything lower is treated as zero
+	* @property {number} [weight=1] Relative weight of this field when using `FIELDWEIGHT.AVERAGE`
+	*/
+	getStepFields(step) {
+		return step.fields.map(field => ({
+			comparison: step.comparison,
+			missing: (step.skipOmitted ?? true) ? 'zero' : 'compare',
+			...(_.isString(field) ? {field} : field),
+		}));
+	}
+
+
+	/**
+	* Compare each field of two references against rules specified in a step
+	* Fields which are missing and use the `missing='ignore'` policy are omitted from the result
+	* @param {Object} a The first reference to compare
+	* @param {Object} b The second reference to compare
+	* @param {Object} step The step object, specifying the rules for comparison
+	* @returns {array<Object>} Collection of field rules (see `getStepFields()`) with an additional `score` property
+	*/
+	compareFields(a, b, step) {
+		return this.getStepFields(step)
+			.filter(rule => rule.missing != 'ignore' || (a[rule.field] && b[rule.field]))
+			.map(rule => {
+				var score =
+					rule.missing == 'zero' && (!a[rule.field] || !b[rule.field])
+						? 0
+						: +this.comparisons[rule.comparison].handler(a[rule.field], b[rule.field]);
+				if (rule.threshold && score < rule.threshold) score = 0;
+				return {...rule, score};
+			});
+	}
+
+
 	/**
 	* Compare two references at against rules specified in a step
 	* @param {Object} a The first reference to compare
 	* @param {Object} b The second reference to compare
 	* @param {Object} step The step object, specifying the rules for comparison
-	* @returns {number} A floating value representing the average similarity between the two references for this steps rules
+	* @returns {number} A floating value representing the weighted average similarity between the two references for this steps rules
 	*/
 	compareViaStepAvg(a, b, step) {
-		return step.fields.reduce((result, field) =>
-			(step.skipOmitted ?? true ) && (!a[field] || !b[field])
-				? 0
-				: this.comparisons[step.comparison].handler(a[field], b[field])
-		, 0) / step.fields.length;
+		var fields = this.compareFields(a, b, step);
+		var totalWeight = _.sumBy(fields, rule => rule.weight ?? 1);
+		return totalWeight > 0
+			? _.sumBy(fields, rule => rule.score * (rule.weight ?? 1)) / totalWeight
+			: 0;
 	};
 
 	/**
@@ -343,17 +1306,277 @@ export default class Dedupe extends EventEmitter {
 	* @returns {number} A floating value representing the minimum similarity between the two references for this steps rules
 	*/
 	compareViaStepMin(a, b, step) {
-		let minimum = 1;
-		step.fields.forEach(field => {
-			let score =
-				(step.skipOmitted ?? true ) && (!a[field] || !b[field])
-					? 0
-					: this.comparisons[step.comparison].handler(a[field], b[field])
-			if (score < minimum) minimum = score
-		})
-		return minimum;
+		return _.min(this.compareFields(a, b, step).map(rule => rule.score)) ?? 0;
 	}
 
+
+	/**
+	* Determine if a step score should be treated as a duplicate hit
+	* If the step has no `threshold` any score above zero is considered a hit
+	* @param {number} score The score returned by `compareViaStepMin()` or `compareViaStepAvg()`
+	* @param {Object} step The step object the score was calculated from
+	* @returns {boolean} Whether the score is a hit
+	*/
+	isHit(score, step) {
+		return step.threshold === undefined
+			? score > 0
+			: score > 0 && score >= step.threshold;
+	}
+
+
+	/**
+	* Compute the value used to refer to a ref based on `settings.dupeRef`
+	* @param {Object} ref The mutated reference to compute the reference for
+	* @returns {number|string} The reference value to use
+	*/
+	getDupeRef(ref) {
+		return this.settings.dupeRef == Dedupe.DUPEREF.FINGERPRINT ? ref.dedupe.fingerprint ?? this.getFingerprint(ref.original)
+			: this.settings.dupeRef == Dedupe.DUPEREF.RECNUMBER ? ref.recNumber
+			: ref.index;
+	}
+
+
+	/**
+	* Transitively group all pairwise duplicate hits into clusters
+	* Any two refs which are linked via a chain of hits (e.g. A->B in one step and B->C in another) end up in the same cluster
+	* @param {number} count The total number of refs
+	* @param {array<Object>} pairs Collection of duplicate hits, each with the `a` + `b` ref indexes
+	* @returns {array<array<number>>} Array of clusters, each an array of ref indexes in input order. Clusters are ordered by their earliest member
+	*/
+	groupClusters(count, pairs) {
+		var parents = _.range(count);
+		var findRoot = index => {
+			while (parents[index] != index) index = parents[index] = parents[parents[index]]; // Walk up the tree, compressing as we go
+			return index;
+		};
+
+		pairs.forEach(pair => {
+			var rootA = findRoot(pair.a);
+			var rootB = findRoot(pair.b);
+			if (rootA != rootB) parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB); // Lowest index is always the root
+		});
+
+		return _(_.range(count))
+			.groupBy(findRoot)
+			.values()
+			.sortBy(cluster => cluster[0])
+			.value();
+	}
+
+
+	/**
+	* Select the primary reference of a duplicate cluster
+	* Refs from the most preferred source (see `settings.sourcePriority`) are preferred, then refs with the most `settings.primaryFields` populated, falling back to input order
+	* @param {array<Object>} refs The mutated references within the cluster, in input order
+	* @returns {Object} The reference to treat as the primary
+	*/
+	selectPrimary(refs) {
+		return _.sortBy(refs, [
+			ref => this.getSourceRank(ref.original),
+			ref => -this.settings.primaryFields.filter(field => !this.isBlank(ref[field])).length,
+		])[0];
+	}
+
+
+	/**
+	* Compute how preferred a reference is based on its source and `settings.sourcePriority`
+	* @param {Object} ref The original reference to examine
+	* @returns {number} The offset of the ref source within `settings.sourcePriority`, lower is more preferred. Refs from unlisted sources are least preferred
+	*/
+	getSourceRank(ref) {
+		var rank = this.settings.sourcePriority.indexOf(ref?.[this.settings.sourceField]);
+		return rank < 0 ? this.settings.sourcePriority.length : rank;
+	}
+
+
+	/**
+	* Merge a cluster of duplicate references into one reference using `settings.mergeRules`
+	* @param {array<Object>} refs The original references to merge, the primary reference should be first
+	* @returns {Object} The merged reference
+	*/
+	mergeRefs(refs) {
+		return _(refs)
+			.flatMap(ref => Object.keys(ref))
+			.uniq()
+			.map(field => [
+				field,
+				this.merges[this.settings.mergeRules[field] || 'fill'].handler(refs.map(ref => ref[field])),
+			])
+			.filter(([field, value]) => value !== undefined)
+			.fromPairs()
+			.value();
+	}
+
+
+	/**
+	* Parse an author list into normalized `surname initial` keys
+	* Uses the same name formats as the `authorRewrite` + `authorRewriteSingle` mutators
+	* @param {string|array<string>} authors Either an array of author names (as provided by Reflib) or a single string of delimited names
+	* @returns {array<string>} Normalized author keys in original order e.g. `['gates b', 'balmer s']`
+	*/
+	parseAuthors(authors) {
+		return (_.isArray(authors) ? authors : this.mutators.authorRewrite.handler(authors || '').split(/\s*,\s*/))
+			.filter(name => name && !/^et\.?\s*al/i.test(name))
+			.map(name => {
+				var rewritten = /^(?<first>[A-Z])\. (?<last>.+)$/.exec(this.mutators.authorRewriteSingle.handler(_.trim(name)));
+				return rewritten
+					? _.deburr(`${rewritten.groups.last} ${rewritten.groups.first}`).toLowerCase()
+					: _.deburr(name).toLowerCase().replace(/[^a-z\s]+/g, '').trim();
+			})
+			.filter(Boolean);
+	}
+
+
+	/**
+	* Determine if a field value should be treated as missing
+	* @param {*} value The value to examine
+	* @returns {boolean} True if the value is undefined, null, an empty string or an empty array
+	*/
+	isBlank(value) {
+		return value === undefined || value === null || value === '' || (_.isArray(value) && !value.length);
+	}
+
+
+	/**
+	* Compute the duplicate score of two refs for a step using `getFieldWeight()`
+	* @param {Object} a The first reference to compare
+	* @param {Object} b The second reference to compare
+	* @param {Object} step The step object, specifying the rules for comparison
+	* @returns {number} A floating value representing the similarity between the two references
+	*/
+	scorePair(a, b, step) {
+		return this.getFieldWeight() == Dedupe.FIELDWEIGHT.MINIMUM
+			? this.compareViaStepMin(a, b, step)
+			: this.compareViaStepAvg(a, b, step);
+	}
+
+
+	/**
+	* Run a step using the sort-and-sweep method, comparing each ref against its neighbours while the sort value(s) remain the same or duplicates are still being found
+	* If `step.window` is specified the classic sorted-neighbourhood method is used instead, comparing each ref against the next `window` refs regardless of their sort values
+	* @param {array<Object>} sortedRefs Mutated refs sorted by `step.sort`
+	* @param {Object} step The step object to run
+	* @param {number} stepIndex The offset of the step within the strategy
+	* @param {number} stepCount The total number of steps within the strategy, used to calculate progress
+	* @returns {array<Object>} Collection of hits in the order found, each with the `original` + `dupe` refs and the `score`
+	*/
+	sweepStep(sortedRefs, step, stepIndex, stepCount) {
+		var hits = [];
+
+		if (step.window > 0) { // Sorted-neighbourhood method
+			sortedRefs.forEach((original, i) => {
+				this.emitProgress(stepIndex * sortedRefs.length + i, stepCount * sortedRefs.length);
+				sortedRefs.slice(i + 1, i + 1 + step.window).forEach(dupe => {
+					var dupeScore = this.scorePair(original, dupe, step);
+					if (this.isHit(dupeScore, step)) hits.push({original, dupe, score: dupeScore});
+				});
+			});
+			return hits;
+		}
+
+		var sortFields = _.castArray(step.sort);
+		var i = 0;
+		var n = i + 1;
+		while (n < sortedRefs.length) { // Walk all elements of the array...
+			// Emit progress
+			this.emitProgress(stepIndex * sortedRefs.length + i, stepCount * sortedRefs.length)
+			var dupeScore = this.scorePair(sortedRefs[i], sortedRefs[n], step);
+			if (this.isHit(dupeScore, step)) { // Hit a duplicate, `i` is now the index of the last unique ref
+				hits.push({original: sortedRefs[i], dupe: sortedRefs[n], score: dupeScore});
+				n++; // Increment n by one to compare next record with original to check for multiple dupes
+				if (n >= sortedRefs.length) { // If at last record increment i for consistent behaviour
+					i++;
+					n = i + 1;
+				}
+			} else {
+				if (sortFields.every(field => sortedRefs[i][field] === sortedRefs[n][field])) { // If still the same value for all sorted values
+					n++; // Increment n by one to compare next record with original to check for multiple dupes
+					if (n >= sortedRefs.length) { // If at last record increment i for consistent behaviour
+						i++;
+						n = i + 1;
+					}
+				} else {
+					// The below may work better if some records are missing data but at the expense of time
+					i++;
+					n = i + 1;
+					// i = n; // Set the new pointer to be the non-matching reference
+					// n += 1; // Increment n to point to next reference
+				}
+			}
+		}
+		return hits;
+	}
+
+
+	/**
+	* Run a step by generating candidate pairs from a blocking index rather than a single sorted order
+	* Each blocking key (see `blockers`) places refs into buckets, only refs sharing a bucket are compared
+	* If `step.blocking.window` is specified the sorted-neighbourhood method is used instead, comparing each ref with the next `window` refs when sorted by each blocking key
+	* @param {array<Object>} refs Mutated refs in input order
+	* @param {Object} step The step object to run, must contain a `blocking` object
+	* @param {number} stepIndex The offset of the step within the strategy
+	* @param {number} stepCount The total number of steps within the strategy, used to calculate progress
+	* @returns {array<Object>} Collection of hits in input order, each with the `original` + `dupe` refs and the `score`
+	*/
+	blockStep(refs, step, stepIndex, stepCount) {
+		var blocking = {
+			keys: [],
+			window: 0,
+			maxBlockSize: 1000,
+			...step.blocking,
+		};
+
+		// Generate candidate pairs {{{
+		var candidates = new Set(); // Set of candidate pairs encoded as `lowerIndex * refs.length + higherIndex`
+		var addCandidate = (a, b) => {
+			if (a != b) candidates.add(a < b ? a * refs.length + b : b * refs.length + a);
+		};
+
+		blocking.keys.forEach(blockerKey => {
+			var entries = refs.flatMap(ref => // Compute all keys of all refs as `[key, refIndex]`
+				_.castArray(this.blockers[blockerKey].handler(ref, blocking) || [])
+					.filter(key => !this.isBlank(key))
+					.map(key => [key, ref.index])
+			);
+
+			if (blocking.window > 0) { // Sorted-neighbourhood - compare each entry against the next W entries
+				entries = _.sortBy(entries, entry => entry[0]);
+				entries.forEach(([key, refIndex], entryIndex) =>
+					entries
+						.slice(entryIndex + 1, entryIndex + 1 + blocking.window)
+						.forEach(([otherKey, otherIndex]) => addCandidate(refIndex, otherIndex))
+				);
+			} else { // Exact blocks - compare all entries sharing a key
+				_(entries)
+					.groupBy(entry => entry[0])
+					.values()
+					.filter(block => block.length > 1 && block.length <= blocking.maxBlockSize)
+					.forEach(block => block.forEach(([key, refIndex], entryIndex) =>
+						block
+							.slice(entryIndex + 1)
+							.forEach(([otherKey, otherIndex]) => addCandidate(refIndex, otherIndex))
+					));
+			}
+		});
+		// }}}
+
+		// Compare candidate pairs {{{
+		var pairCount = candidates.size;
+		var hits = [];
+		Float64Array.from(candidates)
+			.sort() // Sort into input order
+			.forEach((candidate, pairIndex) => {
+				this.emitProgress(stepIndex * pairCount + pairIndex, stepCount * pairCount);
+				var a = Math.floor(candidate / refs.length);
+				var b = candidate % refs.length;
+				var score = this.scorePair(refs[a], refs[b], step);
+				if (this.isHit(score, step)) hits.push({original: refs[a], dupe: refs[b], score});
+			});
+		return hits;
+		// }}}
+	}
+
+
 	/**
 	 * Emit progress throttled every 100ms
 	 * @param {number} progress Number between 0 and 1 (inclusive) which represents the progress
@@ -364,29 +1587,652 @@ export default class Dedupe extends EventEmitter {
 
 
 	/**
-	* Run the deduplication process
-	* @param {array|string} input Either an existing parsed collection of references or a path to parse
-	* @returns {Promise<array>} The output collection with an additional field `dedupe` which is a floating value between 0 - 1
+	* Run all strategy steps on the main thread, collecting the hits of each
+	* Steps using `blocking` use `blockStep()`, all others use the sort-and-sweep method via `sweepStep()`
+	* The event loop is yielded to between steps so the run can be aborted via `settings.signal`
+	* @param {array<Object>} refs Mutated refs in input order
+	* @param {Object} strategy The strategy to run
+	* @param {number} [existing=0] The number of leading refs which are already deduplicated, see `filterHits()`
+	* @returns {Promise<array<array<Object>>>} The hits of each step (see `sweepStep()`) in step order
+	*
+	* @emits stepStart Emitted as `(stepInfo)` before each step runs, see `getStepInfo()`
+	* @emits stepEnd Emitted as `(stepInfo)` after each step runs, see `getStepInfo()`
+	*/
+	findHits(refs, strategy, existing = 0) {
+		var sortedBy; // Keep track of our sort so we don't repeat this
+		var sortedRefs; // Current state of refs
+
+		return strategy.steps.reduce((chain, step, stepIndex) => chain
+			.then(stepHits => new Promise(resolve => setImmediate(()=> resolve(stepHits)))) // Yield to the event loop so any abort can be processed
+			.then(stepHits => {
+				this.settings.signal?.throwIfAborted();
+				this.emit('stepStart', this.getStepInfo(strategy, stepIndex));
+
+				var hits;
+				if (step.blocking) { // Generate candidates via blocking index
+					hits = this.blockStep(refs, step, stepIndex, strategy.steps.length);
+				} else { // Use the sort-and-sweep method
+					if (!sortedBy || !_.isEqual(sortedBy, step.sort)) { // Sort if needed
+						sortedRefs = _.sortBy(refs, step.sort); // Sort by the designated fields
+						sortedBy = step.sort;
+					}
+					hits = this.sweepStep(sortedRefs, step, stepIndex, strategy.steps.length);
+				}
+				hits = this.filterHits(hits, existing);
+
+				this.emit('stepEnd', this.getStepInfo(strategy, stepIndex, hits));
+				return [...stepHits, hits];
+			})
+		, Promise.resolve([]));
+	}
+
+
+	/**
+	* Adjust the hits of a step so the preferred ref of each pair is kept as the original
+	* When incrementally deduplicating against an existing library (see `runIncremental()`) hits between two existing refs are removed and existing refs are always treated as the original
+	* Otherwise the ref from the most preferred source (see `settings.sourcePriority`) is treated as the original
+	* Hits between refs previously decided as different (see `settings.decisions`) are also removed
+	* @param {array<Object>} hits The hits of a step, see `sweepStep()`
+	* @param {number} existing The number of leading refs which are already deduplicated
+	* @returns {array<Object>} The adjusted hits
+	*/
+	filterHits(hits, existing) {
+		if (!existing && !this.settings.sourcePriority.length && !this.settings.decisions.length) return hits;
+
+		var decisions = this.settings.decisions.length ? this.getDecisionLookup() : null;
+		var rank = ref => (ref.index < existing ? 0 : this.settings.sourcePriority.length + 1) + this.getSourceRank(ref.original);
+		return hits
+			.filter(hit => hit.original.index >= existing || hit.dupe.index >= existing) // Never link existing refs to each other
+			.filter(hit => !decisions || decisions[decisionKey(hit.original.dedupe.fingerprint, hit.dupe.dedupe.fingerprint)] != Dedupe.DECISIONS.DIFFERENT) // Never link refs decided as different
+			.map(hit => rank(hit.dupe) < rank(hit.original) // Always link the least preferred ref back to the most preferred
+				? {...hit, original: hit.dupe, dupe: hit.original}
+				: hit
+			);
+	}
+
+
+	/**
+	* Describe a strategy step for the `stepStart`, `stepEnd` and `complete` events
+	* @param {Object} strategy The strategy being run
+	* @param {number} stepIndex The offset of the step within the strategy
+	* @param {array<Object>} [hits] The hits of the step, if it has finished
+	* @returns {Object} A step info object
+	* @property {number} stepIndex The offset of the step within the strategy
+	* @property {number} stepCount The total number of steps within the strategy
+	* @property {string} title The human-readable title of the step, see `getStepTitle()`
+	* @property {number} [hits] If the step has finished, the number of duplicate pairs found
+	* @property {number} [duplicates] If the step has finished, the number of refs found to be a duplicate of another
+	*/
+	getStepInfo(strategy, stepIndex, hits) {
+		return {
+			stepIndex,
+			stepCount: strategy.steps.length,
+			title: this.getStepTitle(strategy.steps[stepIndex]),
+			...(hits && {
+				hits: hits.length,
+				duplicates: _.uniqBy(hits, hit => hit.dupe.index).length,
+			}),
+		};
+	}
+
+
+	/**
+	* Run strategy steps in parallel across a pool of `settings.threads` worker threads, collecting the hits of each
+	* Each worker receives a copy of the strategy fields of each ref and runs whole steps at a time, the hits are then mapped back onto the refs so the result is identical to `findHits()`
+	* Steps using comparisons or blockers which are not built-in (see `builtinComparisons` + `builtinBlockers`), such as those added via `registerComparison()` or replaced within `comparisons`, cannot be sent to a worker and are run on the main thread
+	* If `settings.signal` is aborted all workers are terminated immediately
+	* @param {array<Object>} refs Mutated refs in input order
+	* @param {Object} strategy The strategy to run
+	* @param {number} [existing=0] The number of leading refs which are already deduplicated, see `filterHits()`
+	* @returns {Promise<array<array<Object>>>} The hits of each step (see `sweepStep()`) in step order
+	*
+	* @emits stepStart Emitted as `(stepInfo)` as each step is started, see `getStepInfo()`. As steps run in parallel events may be interleaved and out of order
+	* @emits stepEnd Emitted as `(stepInfo)` as each step finishes, see `getStepInfo()`
+	*/
+	findHitsThreaded(refs, strategy, existing = 0) {
+		var stepHits = [];
+		var stepProgress = strategy.steps.map(()=> 0); // Progress of each step between 0 - 1
+		var updateProgress = (stepIndex, progress) => {
+			stepProgress[stepIndex] = progress;
+			this.emitProgress(Math.floor(_.sum(stepProgress) * refs.length), strategy.steps.length * refs.length);
+		};
+
+		var [workerSteps, mainSteps] = _.partition(_.range(strategy.steps.length), stepIndex =>
+			this.getStepFields(strategy.steps[stepIndex]).every(rule => this.comparisons[rule.comparison] === this.builtinComparisons[rule.comparison])
+			&& (strategy.steps[stepIndex].blocking?.keys || []).every(key => this.blockers[key] === this.builtinBlockers[key])
+		);
+
+		var queue = [...workerSteps];
+		var workerData = {
+			refs: refs.map(ref => _.pick(ref, ['index', ...this.getStrategyFields(strategy)])),
+			steps: strategy.steps,
+			settings: {fieldWeight: this.getFieldWeight()},
+		};
+		var workers = _.range(Math.min(this.settings.threads, workerSteps.length))
+			.map(()=> new Worker(new URL('./worker.js', import.meta.url), {workerData}));
+
+		var onAbort; // Abort listener, removed when finished
+		return Promise.race([
+			Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+				var next = ()=> {
+					if (!queue.length) return resolve();
+					var stepIndex = queue.shift();
+					this.emit('stepStart', this.getStepInfo(strategy, stepIndex));
+					worker.postMessage({stepIndex});
+				};
+				worker
+					.on('message', message => {
+						if (message.hits === undefined) return updateProgress(message.stepIndex, message.progress);
+						stepHits[message.stepIndex] = this.filterHits(message.hits.map(([original, dupe, score]) => ({original: refs[original], dupe: refs[dupe], score})), existing);
+						updateProgress(message.stepIndex, 1);
+						this.emit('stepEnd', this.getStepInfo(strategy, message.stepIndex, stepHits[message.stepIndex]));
+						next();
+					})
+					.on('error', reject)
+					.on('exit', code => code && reject(new Error(`Worker thread exited with code ${code}`)));
+				next();
+			}))),
+			new Promise((resolve, reject) => { // Reject as soon as the signal aborts, otherwise never settle
+				if (!this.settings.signal) return;
+				onAbort = ()=> reject(this.settings.signal.reason);
+				if (this.settings.signal.aborted) return onAbort();
+				this.settings.signal.addEventListener('abort', onAbort, {once: true});
+			}),
+		])
+			.then(()=> mainSteps.forEach(stepIndex => {
+				this.settings.signal?.throwIfAborted();
+				var step = strategy.steps[stepIndex];
+				this.emit('stepStart', this.getStepInfo(strategy, stepIndex));
+				stepHits[stepIndex] = this.filterHits(step.blocking
+					? this.blockStep(refs, step, stepIndex, strategy.steps.length)
+					: this.sweepStep(_.sortBy(refs, step.sort), step, stepIndex, strategy.steps.length)
+				, existing);
+				this.emit('stepEnd', this.getStepInfo(strategy, stepIndex, stepHits[stepIndex]));
+			}))
+			.then(()=> stepHits)
+			.finally(()=> {
+				if (onAbort) this.settings.signal.removeEventListener('abort', onAbort);
+				return Promise.all(workers.map(worker => worker.terminate()));
+			})
+	}
+
+
+	/**
+	* Fetch the strategy object specified in `settings.strategy`
+	* @returns {Object} The strategy object (either given directly or looked up by ID from `strategies`) or undefined if not found
+	*/
+	getStrategy() {
+		return _.isPlainObject(this.settings.strategy)
+			? this.settings.strategy
+			: this.strategies[this.settings.strategy];
+	}
+
+
+	/**
+	* Compute the threshold to use when marking or deleting refs
+	* @returns {number} `settings.threshold` if set, otherwise the strategy `threshold` or 0.1
+	*/
+	getThreshold() {
+		return this.settings.threshold ?? this.getStrategy()?.threshold ?? 0.1;
+	}
+
+
+	/**
+	* Compute the lower threshold of the manual review band
+	* Refs scoring between this and `getThreshold()` need manual review
+	* @returns {number} `settings.reviewThreshold` if set, otherwise the strategy `reviewThreshold` or `getThreshold()` (no review band)
+	*/
+	getReviewThreshold() {
+		return this.settings.reviewThreshold ?? this.getStrategy()?.reviewThreshold ?? this.getThreshold();
+	}
+
+
+	/**
+	* Compute the field weighting to use when scoring steps
+	* Strategies can specify their `fieldWeight` as either the ENUM value or its key e.g. `'minimum'`
+	* @returns {number} `settings.fieldWeight` if set, otherwise the strategy `fieldWeight` or `FIELDWEIGHT.MINIMUM`. ENUM: FIELDWEIGHT
+	*/
+	getFieldWeight() {
+		var fieldWeight = this.settings.fieldWeight ?? this.getStrategy()?.fieldWeight ?? Dedupe.FIELDWEIGHT.MINIMUM;
+		return _.isString(fieldWeight) ? Dedupe.FIELDWEIGHT[fieldWeight.toUpperCase()] : fieldWeight;
+	}
+
+
+	/**
+	* Compute a short human-readable title for a step
+	* @param {Object} step The step object
+	* @returns {string} The step `title` if specified, otherwise the fields it compares e.g. `'pages + authors'`
+	*/
+	getStepTitle(step) {
+		return step.title || this.getStepFields(step).map(rule => rule.field).join(' + ');
+	}
+
+
+	/**
+	* Compute all reference fields a strategy needs in order to deduplicate
+	* @param {Object} strategy The strategy object to examine
+	* @returns {array<string>} Unique field names used by the strategy mutators, step fields, sort fields, blocking keys and `settings.primaryFields`
+	*/
+	getStrategyFields(strategy) {
+		return _.uniq([
+			...Object.keys(strategy.mutators || {}),
+			...strategy.steps.flatMap(step => [
+				...this.getStepFields(step).map(rule => rule.field),
+				..._.castArray(step.sort || []),
+				...(step.blocking?.keys || []).flatMap(key => this.blockers[key].fields || []),
+			]),
+			...this.settings.primaryFields,
+		]);
+	}
+
+
+	/**
+	* Create a mutated copy of a reference ready for deduplication
+	* @param {Object} original The original reference
+	* @param {number} index The offset of the reference within the input
+	* @param {Object} strategy The strategy to use when mutating fields
+	* @param {array<string>} [fields] If specified only import these original reference fields rather than all of them, see `getStrategyFields()`
+	* @returns {Object} The mutated reference
+	*/
+	mutateRef(original, index, strategy, fields) {
+		return {
+			original,
+			index,
+			recNumber: original.refNumber || index + 1,
+			dedupe: {steps: []}, // Storage for future dedupe info
+			...(fields ? _.pick(original, fields) : original), // Import original reference fields
+			..._.mapValues(strategy.mutators, (mutators, field) =>
+				_.castArray(mutators).reduce((value, mutator) =>
+					this.mutators[mutator].handler(value, original)
+				, original[field] || '')
+			),
+		};
+	}
+
+
+	/**
+	* Explain how a step scored a pair of mutated references
+	* @param {Object} a The first (original) mutated reference
+	* @param {Object} b The second (duplicate) mutated reference
+	* @param {Object} step The step object, specifying the rules for comparison
+	* @param {number} stepIndex The offset of the step within the strategy
+	* @returns {Object} An explanation object
+	* @property {number} a The first reference, referred to via `settings.dupeRef`
+	* @property {number} b The second reference, referred to via `settings.dupeRef`
+	* @property {number} step The offset of the step within the strategy
+	* @property {string} title The title of the step (see `getStepTitle()`)
+	* @property {number} score The combined score of the step
+	* @property {boolean} hit Whether the step considered the pair a duplicate
+	* @property {string} fieldWeight How the field scores were combined. ENUM: FIELDWEIGHT keys
+	* @property {number} [threshold] The step threshold, if any
+	* @property {array<Object>} fields Each compared field rule (see `getStepFields()`) with the mutated `valueA` + `valueB` and the field `score`. Fields omitted via `missing='ignore'` are not included
+	*/
+	explainPair(a, b, step, stepIndex) {
+		var score = this.scorePair(a, b, step);
+		return {
+			a: this.getDupeRef(a),
+			b: this.getDupeRef(b),
+			step: stepIndex,
+			title: this.getStepTitle(step),
+			score,
+			hit: this.isHit(score, step),
+			fieldWeight: _.findKey(Dedupe.FIELDWEIGHT, v => v == this.getFieldWeight()),
+			threshold: step.threshold,
+			fields: this.compareFields(a, b, step).map(rule => ({
+				...rule,
+				weight: rule.weight ?? 1,
+				valueA: a[rule.field],
+				valueB: b[rule.field],
+			})),
+		};
+	}
+
+
+	/**
+	* Run the current strategy against a single pair of references, explaining how each step scored them
+	* @param {Object} refA The first reference
+	* @param {Object} refB The second reference
+	* @returns {Object} An explanation object
+	* @property {boolean} duplicate Whether any step considered the pair a duplicate
+	* @property {array<Object>} steps The explanation of each step (see `explainPair()`)
+	*/
+	explain(refA, refB) {
+		var strategy = this.getStrategy();
+		if (!strategy) throw new Error('Unknown strategy specified');
+
+		var a = this.mutateRef(refA, 0, strategy);
+		var b = this.mutateRef(refB, 1, strategy);
+		var steps = strategy.steps.map((step, stepIndex) => this.explainPair(a, b, step, stepIndex));
+		return {
+			duplicate: steps.some(step => step.hit),
+			steps,
+		};
+	}
+
+
+	/**
+	* Run a strategy against a library of labelled references, returning the score of each ref along with its label
+	* This is the common worker for `evaluate()` and `sweepThresholds()`
+	* @param {array|string} refs Either a collection of labelled references or a path / array of paths to parse
+	* @param {Object} options Options to use, see `evaluate()`
+	* @returns {Promise<Object>} An object containing the `strategy` used and `scored` - a collection of `{labelled, score, steps}` for each ref where `steps` are the offsets of the steps which flagged the ref
+	*/
+	scoreLabelled(refs, options) {
+		var isLabelledDupe = _.isFunction(options.labelDupe)
+			? options.labelDupe
+			: ref => ref[options.labelField] == options.labelDupe;
+
+		var previousSettings = this.settings;
+		var mutatedRefs; // Mutated refs, whose `dedupe.steps` contain each steps findings
+		var onRunMutated = refs => mutatedRefs = refs;
+
+		this.settings = {
+			...this.settings,
+			..._.omitBy({strategy: options.strategy, fieldWeight: options.fieldWeight}, _.isUndefined),
+			action: Dedupe.ACTIONS.STATS,
+			markOriginal: true,
+			explain: false,
+		};
+
+		return this
+			.on('runMutated', onRunMutated)
+			.run(refs)
+			.then(output => ({
+				strategy: this.getStrategy(),
+				threshold: options.threshold ?? this.getThreshold(),
+				fieldWeight: this.getFieldWeight(),
+				scored: output.map((ref, refIndex) => ({
+					labelled: isLabelledDupe(mutatedRefs[refIndex].original),
+					score: ref[this.settings.actionField].score,
+					steps: mutatedRefs[refIndex].dedupe.steps
+						.map((step, stepIndex) => step?.score > 0 ? stepIndex : undefined)
+						.filter(stepIndex => stepIndex !== undefined),
+				})),
+			}))
+			.finally(()=> {
+				this.off('runMutated', onRunMutated);
+				this.settings = previousSettings;
+			})
+	}
+
+
+	/**
+	* Compute the confusion matrix and derived metrics for a collection of scored refs at a given threshold
+	* @param {array<Object>} scored Collection of `{labelled, score}` objects as returned by `scoreLabelled()`
+	* @param {number} threshold The score at which a ref is considered a duplicate
+	* @returns {Object} The confusion matrix and metrics, see `evaluate()`
+	*/
+	computeMetrics(scored, threshold) {
+		var counts = {truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0};
+		scored.forEach(({labelled, score}) => {
+			var detected = score >= threshold;
+			counts[
+				labelled && detected ? 'truePositives'
+				: !labelled && detected ? 'falsePositives'
+				: !labelled && !detected ? 'trueNegatives'
+				: 'falseNegatives'
+			]++;
+		});
+
+		var precision = counts.truePositives / (counts.truePositives + counts.falsePositives) || 0;
+		var recall = counts.truePositives / (counts.truePositives + counts.falseNegatives) || 0;
+		return {
+			...counts,
+			accuracy: (counts.truePositives + counts.trueNegatives) / scored.length || 0,
+			precision,
+			recall,
+			specificity: counts.trueNegatives / (counts.trueNegatives + counts.falsePositives) || 0,
+			f1: 2 * ((precision * recall) / (precision + recall)) || 0,
+		};
+	}
+
+
+	/**
+	* Evaluate a strategy against a library of references which are already labelled as duplicates or not
+	* This follows the methodology of [Evaluating automated deduplication tools: protocol](https://osf.io/w3mak/) by Hair et. al. where all members of a duplicate set (including the original) are labelled
+	* @param {array|string} refs Either a collection of labelled references or a path / array of paths to parse
+	* @param {Object} [options] Additional options to use
+	* @param {string} [options.labelField='caption'] The field containing the duplicate label
+	* @param {string|function} [options.labelDupe='Duplicate'] The value of `labelField` which indicates a duplicate, if a function it is called as `(ref)` and should return a boolean
+	* @param {string} [options.strategy] The strategy to evaluate, defaults to `settings.strategy`
+	* @param {number} [options.threshold] The threshold score to consider a ref a duplicate, defaults to `getThreshold()`
+	* @param {number} [options.fieldWeight] The field weighting to use, defaults to `getFieldWeight()`
+	* @returns {Promise<Object>} The evaluation results
+	* @property {number} truePositives The number of labelled duplicates detected as duplicates
+	* @property {number} falsePositives The number of labelled non-duplicates detected as duplicates
+	* @property {number} trueNegatives The number of labelled non-duplicates detected as non-duplicates
+	* @property {number} falseNegatives The number of labelled duplicates detected as non-duplicates
+	* @property {number} accuracy Proportion of correctly detected refs
+	* @property {number} precision Proportion of detected duplicates which are labelled duplicates
+	* @property {number} recall Proportion of labelled duplicates which are detected (sensitivity)
+	* @property {number} specificity Proportion of labelled non-duplicates which are detected as non-duplicates
+	* @property {number} f1 Harmonic mean of precision and recall
+	* @property {array<Object>} steps Contribution of each step as `{step, title, truePositives, falsePositives, uniqueTruePositives, uniqueFalsePositives}`, the unique counts being refs flagged by no other step
+	*/
+	evaluate(refs, options) {
+		return this.scoreLabelled(refs, {
+			labelField: 'caption',
+			labelDupe: 'Duplicate',
+			...options,
+		})
+			.then(({strategy, threshold, scored}) => {
+				var steps = strategy.steps.map((step, stepIndex) => ({
+					step: stepIndex,
+					title: this.getStepTitle(step),
+					truePositives: 0,
+					falsePositives: 0,
+					uniqueTruePositives: 0,
+					uniqueFalsePositives: 0,
+				}));
+
+				scored
+					.filter(ref => ref.score >= threshold) // Detected as duplicate
+					.forEach(ref => ref.steps.forEach(stepIndex => {
+						steps[stepIndex][ref.labelled ? 'truePositives' : 'falsePositives']++;
+						if (ref.steps.length == 1) steps[stepIndex][ref.labelled ? 'uniqueTruePositives' : 'uniqueFalsePositives']++;
+					}));
+
+				return {
+					...this.computeMetrics(scored, threshold),
+					steps,
+				};
+			})
+	}
+
+
+	/**
+	* Evaluate a strategy against a library of labelled references across a range of thresholds and field weightings
+	* Produces precision-recall and ROC curves along with a recommended operating point
+	* @param {array|string} refs Either a collection of labelled references or a path / array of paths to parse
+	* @param {Object} [options] Additional options to use, in addition to those supported by `evaluate()`
+	* @param {array<number>} [options.thresholds] Thresholds to evaluate, defaults to 0 - 1 in steps of 0.05
+	* @param {array<number>} [options.fieldWeights] Field weightings to evaluate, defaults to all of `FIELDWEIGHT`
+	* @param {string} [options.optimize='f1'] The metric to maximize when recommending an operating point
+	* @returns {Promise<Object>} The sweep results
+	* @property {array<Object>} points Every evaluated point as `{fieldWeight, threshold, ...metrics}` (see `evaluate()`) with the additional `falsePositiveRate`
+	* @property {Object} curves Lookup of FIELDWEIGHT key -> `{pr, roc, auc}` where `pr` is a collection of `{threshold, recall, precision}`, `roc` is a collection of `{threshold, falsePositiveRate, truePositiveRate}` and `auc` is the area under the ROC curve
+	* @property {Object} recommended The point with the highest `optimize` metric, preferring the highest threshold if tied
+	*/
+	sweepThresholds(refs, options) {
+		var settings = {
+			labelField: 'caption',
+			labelDupe: 'Duplicate',
+			thresholds: _.range(0, 21).map(i => i / 20),
+			fieldWeights: Object.values(Dedupe.FIELDWEIGHT),
+			optimize: 'f1',
+			...options,
+		};
+
+		return Promise.resolve()
+			.then(()=> _.isString(refs) || (_.isArray(refs) && refs.length && refs.every(_.isString)) // Read files once for all runs
+				? this.readFiles(refs)
+				: refs
+			)
+			.then(refs => settings.fieldWeights.reduce((chain, fieldWeight) => // Run each field weighting in series
+				chain.then(results =>
+					this.scoreLabelled(refs, {...settings, fieldWeight})
+						.then(({scored}) => results.concat(
+							settings.thresholds.map(threshold => {
+								var metrics = this.computeMetrics(scored, threshold);
+								return {
+									fieldWeight: _.findKey(Dedupe.FIELDWEIGHT, v => v == fieldWeight),
+									threshold,
+									...metrics,
+									falsePositiveRate: metrics.falsePositives / (metrics.falsePositives + metrics.trueNegatives) || 0,
+								};
+							})
+						))
+				)
+			, Promise.resolve([])))
+			.then(points => ({
+				points,
+				curves: _(points)
+					.groupBy('fieldWeight')
+					.mapValues(fieldPoints => {
+						var roc = _.sortBy(fieldPoints.map(p => ({threshold: p.threshold, falsePositiveRate: p.falsePositiveRate, truePositiveRate: p.recall})), ['falsePositiveRate', 'truePositiveRate']);
+						var rocBounded = [{falsePositiveRate: 0, truePositiveRate: 0}, ...roc, {falsePositiveRate: 1, truePositiveRate: 1}];
+						return {
+							pr: _.sortBy(fieldPoints.map(p => ({threshold: p.threshold, recall: p.recall, precision: p.precision})), ['recall', p => -p.precision]),
+							roc,
+							auc: _.sum(rocBounded.slice(1).map((point, i) => // Trapezoid rule
+								(point.falsePositiveRate - rocBounded[i].falsePositiveRate) * (point.truePositiveRate + rocBounded[i].truePositiveRate) / 2
+							)),
+						};
+					})
+					.value(),
+				recommended: _.maxBy(_.sortBy(points, p => -p.threshold), settings.optimize),
+			}))
+	}
+
+
+	/**
+	* Read one or more reference library files, concatenating the results
+	* The format of each file is detected from its extension via Reflib
+	* @param {string|array<string>} paths The file path(s) to read
+	* @returns {Promise<array>} The concatenated references of all files, each tagged with `settings.sourceFileField`
+	*
+	* @emits readFile Emitted as `(path, refs)` when each file has been read
+	*/
+	readFiles(paths) {
+		return Promise.resolve()
+			.then(()=> Promise.all(_.castArray(paths).map(path => {
+				var format = reflib.identifyFormat(path);
+				if (!format) throw new Error(`Unable to identify reference library format for file "${path}"`);
+				if (!format.canRead) throw new Error(`Reading ${format.title} files is not supported for file "${path}"`);
+
+				return reflib.readFile(path)
+					.then(refs => {
+						this.emit('readFile', path, refs);
+						return this.settings.sourceFileField
+							? refs.map(ref => ({...ref, [this.settings.sourceFileField]: basename(path)}))
+							: refs;
+					})
+			})))
+			.then(libraries => libraries.flat())
+	}
+
+
+	/**
+	* Identify the Reflib format to write a file as, throwing if the format is unknown or cannot be written
+	* @param {string} outPath The file path to write, the format is detected from its extension unless `format` is specified
+	* @param {string} [format] Optional Reflib format ID to write (e.g. `'ris'`, `'endnoteXml'`)
+	* @returns {Object} The Reflib format object
+	*/
+	getOutputFormat(outPath, format) {
+		var outFormat = format ? reflib.formats[format] : reflib.identifyFormat(outPath);
+		if (!outFormat) throw new Error(`Unable to identify reference library format for output file "${outPath}"`);
+		if (!outFormat.canWrite) throw new Error(`Writing ${outFormat.title} files is not supported`);
+		return outFormat;
+	}
+
+
+	/**
+	* Write a collection of references to a file
+	* @param {string} outPath The file path to write, the format is detected from its extension unless `format` is specified
+	* @param {array<Object>} refs The references to write
+	* @param {string} [format] Optional Reflib format ID to write (e.g. `'ris'`, `'endnoteXml'`)
+	* @returns {Promise<array>} The collection which was written
+	*/
+	writeFile(outPath, refs, format) {
+		return Promise.resolve()
+			.then(()=> reflib.writeFile(outPath, refs, {module: this.getOutputFormat(outPath, format).id}))
+			.then(()=> refs)
+	}
+
+
+	/**
+	* Run the deduplication process on one or more files, writing the output to another file
+	* @param {string|array<string>} input The file path(s) to read
+	* @param {string} outPath The file path to write, the format is detected from its extension unless `format` is specified
+	* @param {string} [format] Optional Reflib format ID to write (e.g. `'ris'`, `'endnoteXml'`)
+	* @returns {Promise<array>} The output collection which was written
+	*/
+	runFile(input, outPath, format) {
+		return Promise.resolve()
+			.then(()=> this.getOutputFormat(outPath, format)) // Check the output format before running
+			.then(()=> this.run(input))
+			.then(output => this.writeFile(outPath, output, format))
+	}
+
+
+	/**
+	* Resolve the input of `run()` or `stream()` into a collection of references
+	* @param {array|string|AsyncIterable|Iterable|Object} input Either an existing parsed collection of references, a path / array of paths to parse, an (async) iterable of references such as an object mode stream or an object of named sources where each value is a collection of references or a path / array of paths
+	* @returns {Promise<array>} The collection of references
+	*/
+	readInput(input) {
+		if (_.isString(input) || (_.isArray(input) && input.length && input.every(_.isString))) return this.readFiles(input);
+		if (_.isArray(input) || !_.isObject(input)) return Promise.resolve(input); // Non-iterables are rejected by the sanity checks
+		if (typeof input[Symbol.asyncIterator] == 'function') return collectAsync(input); // NOTE: `_.isFunction()` is false for async generators
+		if (typeof input[Symbol.iterator] == 'function') return Promise.resolve(Array.from(input));
+		if (_.isPlainObject(input)) return Promise.all( // Named sources - read each and tag with the source name
+			Object.entries(input).map(([source, refs]) => Promise.resolve()
+				.then(()=> {
+					if (!_.isString(refs) && !_.isArray(refs)) throw new Error(`Input for source "${source}" must be an array of references or a file path`);
+					return this.readInput(refs);
+				})
+				.then(refs => refs.map(ref => ({...ref, [this.settings.sourceField]: source})))
+			)
+		).then(sources => sources.flat());
+		return Promise.resolve(input);
+	}
+
+
+	/**
+	* Run all strategy steps against the input, populating the `dedupe` info of each mutated ref
+	* This is the common worker for `run()` and `stream()`
+	* @param {array|string|AsyncIterable|Iterable} input The input references, see `readInput()`
+	* @param {Object} [options] Additional options
+	* @param {number} [options.existing=0] The number of leading refs which are already deduplicated and should not be output, see `runIncremental()`
+	* @returns {Promise<Object>} An object containing the original references as `output`, the mutated references as `refs`, all duplicate hits as `pairs`, the info of each step as `steps` (see `getStepInfo()`) and the `existing` ref count
 	*
 	* @emits runMutated Emitted when the fully mutated library is ready to start deduplicating
+	* @emits stepStart Emitted as `(stepInfo)` before each step runs, see `getStepInfo()`
+	* @emits stepEnd Emitted as `(stepInfo)` after each step runs, see `getStepInfo()`
+	* @emits dupeFound Emitted as `({a, b, step, score})` for each duplicate pair found, with `a` + `b` referred to via `settings.dupeRef`
 	*/
-	run(input) {
-		var strategy = Dedupe.strategies[this.settings.strategy];
+	runSteps(input, options) {
+		var existing = options?.existing ?? 0;
+		var strategy = this.getStrategy();
 		var output;
+		var pairs = []; // Collection of all duplicate hits as `{a, b, step, score}`
 
 		return Promise.resolve()
 			.then(()=> {
 				if (!Object.values(Dedupe.ACTIONS).includes(this.settings.action)) throw new Error(`Invalid action "${this.settings.action}" - choose one action from Dedupe.ACTIONS`);
 				if (!Object.values(Dedupe.DUPEREF).includes(this.settings.dupeRef)) throw new Error(`Invalid dupeRef "${this.settings.dupeRef}" - choose one action from Dedupe.DUPEREF`);
+				var mergeField = _.findKey(this.settings.mergeRules, merge => !this.merges[merge]);
+				if (mergeField) throw new Error(`Invalid merge rule "${this.settings.mergeRules[mergeField]}" for field "${mergeField}" - choose one of ${Object.keys(this.merges).join(', ')}`);
+				this.settings.signal?.throwIfAborted();
 
-				// Parse inputs if they look like paths, otherwise assume they are given as arrays
-				return _.isString(input) ? reflib.promises.parseFile(input) : input;
+				return this.readInput(input);
 			})
 			// Sanity checks {{{
 			.then(refs => {
 				if (!_.isArray(refs)) throw new Error('Input is not an array');
-				if (!_.has(Dedupe, ['strategies', this.settings.strategy])) throw new Error('Unknown strategy specified');
-				if (!_.isArray(_.get(Dedupe, ['strategies', this.settings.strategy, 'steps']))) throw new Error('Invalid strategy schema');
+				if (!strategy) throw new Error('Unknown strategy specified');
+				if (this.getReviewThreshold() > this.getThreshold()) throw new Error(`Invalid reviewThreshold ${this.getReviewThreshold()} - must not be above the threshold ${this.getThreshold()}`);
+				if (!this.settings.validateStrategy && !_.isArray(strategy.steps)) throw new Error('Invalid strategy schema'); // Validation explains this in more detail
 				return output = refs;
 			})
 			// }}}
@@ -396,118 +2242,555 @@ export default class Dedupe extends EventEmitter {
 
 				var sErrs = this.validateStrategy(strategy);
 				if (sErrs === true) return;
-				throw new Error('Invalid strategy - ' + sErrs.join(', '));
+				throw new Error('Invalid strategy - ' + formatStrategyErrors(sErrs));
 			})
 			// }}}
 			// Run mutators {{{
 			.then(()=> {
-				var refs = output;
-				return refs.map((original, index) => ({
-					original,
-					index,
-					recNumber: original.refNumber || index + 1,
-					dedupe: {steps: []}, // Storage for future dedupe info
-					...original, // Import original reference fields
-					..._.mapValues(strategy.mutators, (mutators, field) =>
-						_.castArray(mutators).reduce((value, mutator) =>
-							this.mutators[mutator].handler(value, original)
-						, original[field] || '')
-					),
-				}));
+				var fields = this.settings.lean ? this.getStrategyFields(strategy) : undefined;
+				return output.map((original, index) => this.mutateRef(original, index, strategy, fields));
+			})
+			// }}}
+			// Compute fingerprints {{{
+			.then(refs => {
+				if (this.settings.decisions.length || this.settings.dupeRef == Dedupe.DUPEREF.FINGERPRINT) this.getFingerprints(output).forEach((fingerprint, index) => refs[index].dedupe.fingerprint = fingerprint);
+				return refs;
 			})
 			// }}}
 			.then(refs => {
+				this.settings.signal?.throwIfAborted();
 				this.emit('runMutated', refs);
-				var sortedBy; // Keep track of our sort so we don't repeat this
-				var sortedRefs; // Current state of refs
-
+				return Promise.resolve(this.settings.threads > 1 ? this.findHitsThreaded(refs, strategy, existing) : this.findHits(refs, strategy, existing))
+					.then(stepHits => ({refs, stepHits}));
+			})
+			.then(({refs, stepHits}) => {
 				strategy.steps.forEach((step, stepIndex) => { // For each step
-					if (!sortedBy || sortedBy != step.sort) { // Sort if needed
-						sortedRefs = _.sortBy(refs, step.sort); // Sort by the designated fields
-						sortedBy = step.sort;
-					}
+					stepHits[stepIndex].forEach(({original, dupe, score}) => {
+						pairs.push({
+							a: original.index,
+							b: dupe.index,
+							step: stepIndex,
+							score,
+							...(this.settings.explain && {explain: this.explainPair(original, dupe, step, stepIndex)}),
+						});
+						this.emit('dupeFound', {a: this.getDupeRef(original), b: this.getDupeRef(dupe), step: stepIndex, score});
 
-					var i = 0;
-					var n = i + 1;
-					while (n < sortedRefs.length) { // Walk all elements of the array...
-						// Emit progress
-						this.emitProgress(stepIndex * sortedRefs.length + i, strategy.steps.length * sortedRefs.length)
-						var dupeScore = this.settings.fieldWeight == Dedupe.FIELDWEIGHT.MINIMUM
-							? this.compareViaStepMin(sortedRefs[i], sortedRefs[n], step)
-							: this.compareViaStepAvg(sortedRefs[i], sortedRefs[n], step);
-						if (dupeScore > 0) { // Hit a duplicate, `i` is now the index of the last unique ref
-							// If score does not currently exist for record (i.e. original record) assign it a score of 0 (unless testing)
-							if (!sortedRefs[i].dedupe.steps[stepIndex]) {
-								sortedRefs[i].dedupe.steps[stepIndex] = {score: this.settings.markOriginal ? dupeScore : 0}; // Mark as duplicate if in testing mode
-							}
-							// If score does not exist for second record, update score
-							if (!sortedRefs[n].dedupe.steps[stepIndex]) {
-								// Mark 2nd record as duplicate and link to original
-								sortedRefs[n].dedupe.steps[stepIndex] = {score: dupeScore, dupeOf: this.settings.dupeRef == Dedupe.DUPEREF.RECNUMBER ? sortedRefs[i].recNumber : sortedRefs[i].index};
-							}
-							// Else if new score is greater than or equal the one which exists, update score and dupeof
-							else if (dupeScore >= sortedRefs[n].dedupe.steps[stepIndex].score) {
-								// Mark 2nd record as duplicate and link to original
-								sortedRefs[n].dedupe.steps[stepIndex] = {score: dupeScore, dupeOf: this.settings.dupeRef == Dedupe.DUPEREF.RECNUMBER ? sortedRefs[i].recNumber : sortedRefs[i].index};
-							}
-							n++; // Increment n by one to compare next record with original to check for multiple dupes
-							if (n >= sortedRefs.length) { // If at last record increment i for consistent behaviour
-								i++;
-								n = i + 1;
-							}
-						} else {
-							if (sortedRefs[i][step.sort] === sortedRefs[n][step.sort]) { // If still the same value for sorted value
-								n++; // Increment n by one to compare next record with original to check for multiple dupes
-								if (n >= sortedRefs.length) { // If at last record increment i for consistent behaviour
-									i++;
-									n = i + 1;
-								}
-							} else {
-								// The below may work better if some records are missing data but at the expense of time
-								i++;
-								n = i + 1;
-								// i = n; // Set the new pointer to be the non-matching reference
-								// n += 1; // Increment n to point to next reference
-							}
+						// If score does not currently exist for record (i.e. original record) assign it a score of 0 (unless testing)
+						if (!original.dedupe.steps[stepIndex]) {
+							original.dedupe.steps[stepIndex] = {score: this.settings.markOriginal ? score : 0}; // Mark as duplicate if in testing mode
 						}
-					}
+						// If score does not exist for second record, update score
+						if (!dupe.dedupe.steps[stepIndex]) {
+							// Mark 2nd record as duplicate and link to original
+							dupe.dedupe.steps[stepIndex] = {score, dupeOf: this.getDupeRef(original)};
+						}
+						// Else if new score is greater than or equal the one which exists, update score and dupeof
+						else if (score >= dupe.dedupe.steps[stepIndex].score) {
+							// Mark 2nd record as duplicate and link to original
+							dupe.dedupe.steps[stepIndex] = {score, dupeOf: this.getDupeRef(original)};
+						}
+					});
 				});
-				return refs;
+
+				refs.forEach(ref => { // Average score for dupes
+					ref.dedupe.score = ref.dedupe.steps.length > 0 ? _.sum(ref.dedupe.steps.map(s => s.score)) / ref.dedupe.steps.length : 0;
+				});
+
+				// Force link pairs decided as the same {{{
+				var fingerprintRefs = _.groupBy(refs, 'dedupe.fingerprint');
+				this.settings.decisions
+					.filter(decision => decision.decision == Dedupe.DECISIONS.SAME)
+					.forEach(decision => {
+						(fingerprintRefs[decision.a] || []).forEach(refA =>
+							(fingerprintRefs[decision.b] || []).forEach(refB => {
+								if (refA === refB) return;
+								var [hit] = this.filterHits([refA.index < refB.index ? {original: refA, dupe: refB, score: 1} : {original: refB, dupe: refA, score: 1}], existing);
+								if (!hit) return; // Both are existing refs
+								pairs.push({a: hit.original.index, b: hit.dupe.index, step: null, score: 1});
+								hit.dupe.dedupe.linked = _.uniq([...(hit.dupe.dedupe.linked || []), this.getDupeRef(hit.original)]);
+								hit.dupe.dedupe.score = 1;
+							})
+						);
+					});
+				// }}}
+
+				return {
+					output,
+					refs,
+					pairs,
+					steps: strategy.steps.map((step, stepIndex) => this.getStepInfo(strategy, stepIndex, stepHits[stepIndex])),
+					existing,
+				};
 			})
-			.then(refs => refs.map(ref => ({
-				...ref,
-				dedupe: {
-					...ref.dedupe,
-					// Average score for dupes
-					score: ref.dedupe.steps.length > 0 ? _.sum(ref.dedupe.steps.map(s => s.score)) / ref.dedupe.steps.length : 0,
-				},
-			})))
-			.then(refs => {
-				switch (this.settings.action) {
-					case Dedupe.ACTIONS.STATS: // Decorate refs with stats
-						return output.map((ref, refIndex) => ({ // Glue the stats back onto the input array
-							...ref,
-							[this.settings.actionField]: {
-								score: refs[refIndex].dedupe.score,
-								dupeOf: _(refs[refIndex].dedupe.steps)
-									.map('dupeOf')
-									.uniq()
-									.filter(v => v !== undefined)
-									.value(),
-							},
-						}))
-
-					case Dedupe.ACTIONS.MARK: // Set a simple field if the ref score is above the threshold
-						return output.map((ref, refIndex) => ({ // Glue the stats back onto the input array
-							...ref,
-							[this.settings.actionField]: refs[refIndex].dedupe.score >= this.settings.threshold
-								? _.isFunction(this.settings.markDupe) ? this.settings.markDupe(ref) : this.settings.markDupe
-								: _.isFunction(this.settings.markOk) ? this.settings.markOk(ref) : this.settings.markOk,
-						}))
-
-					case Dedupe.ACTIONS.DELETE: // Remove all refs above the threshold
-						return output.filter((ref, refIndex) => refs[refIndex].dedupe.score < this.settings.threshold)
+	}
+
+
+	/**
+	* Apply `settings.action` to the results of `runSteps()`, yielding each output reference in turn
+	* @param {Object} results The results of `runSteps()`
+	* @param {array<Object>} results.output The original references
+	* @param {array<Object>} results.refs The mutated references
+	* @param {array<Object>} results.pairs All duplicate hits
+	* @param {number} [results.existing=0] The number of leading refs which are already deduplicated, these are omitted from the output
+	* @returns {Generator<Object>} A generator of output references
+	*/
+	*applyAction({output, refs, pairs, existing = 0}) {
+		var explanations = this.settings.explain // Lookup of dupe ref index -> explanations of pairs
+			? _.mapValues(_.groupBy(pairs, 'b'), refPairs => refPairs.filter(pair => pair.explain).map(pair => pair.explain))
+			: {};
+
+		switch (this.settings.action) {
+			case Dedupe.ACTIONS.STATS: // Decorate refs with stats
+				for (var refIndex = existing; refIndex < output.length; refIndex++) {
+					yield { // Glue the stats back onto the input ref
+						...output[refIndex],
+						[this.settings.actionField]: {
+							score: refs[refIndex].dedupe.score,
+							dupeOf: _(refs[refIndex].dedupe.steps)
+								.map('dupeOf')
+								.concat(refs[refIndex].dedupe.linked || [])
+								.uniq()
+								.filter(v => v !== undefined)
+								.value(),
+							...(this.settings.explain && {explain: explanations[refIndex] || []}),
+						},
+					};
 				}
+				break;
+
+			case Dedupe.ACTIONS.MARK: // Set a simple field depending on whether the ref score is above the threshold, within the review band or below
+				var marks = {duplicate: this.settings.markDupe, review: this.settings.markReview, unique: this.settings.markOk};
+				for (var refIndex = existing; refIndex < output.length; refIndex++) {
+					var ref = output[refIndex];
+					var mark = marks[this.classifyRef(refs[refIndex])];
+					yield { // Glue the stats back onto the input ref
+						...ref,
+						[this.settings.actionField]: _.isFunction(mark) ? mark(ref) : mark,
+					};
+				}
+				break;
+
+			case Dedupe.ACTIONS.DELETE: // Remove all refs above the threshold, refs within the review band are kept
+				for (var refIndex = existing; refIndex < output.length; refIndex++) {
+					if (refs[refIndex].dedupe.score < this.getThreshold()) yield output[refIndex];
+				}
+				break;
+
+			case Dedupe.ACTIONS.CLUSTER: // Decorate refs with the duplicate cluster they belong to
+				var refClusters = []; // Lookup of ref index -> cluster info
+				this.groupClusters(refs.length, pairs).forEach((cluster, clusterIndex) => {
+					var clusterInfo = {
+						cluster: clusterIndex,
+						primary: this.getDupeRef(this.selectPrimary(cluster.map(i => refs[i]))),
+						members: cluster.map(i => this.getDupeRef(refs[i])),
+					};
+					cluster.forEach(refIndex => refClusters[refIndex] = clusterInfo);
+				});
+
+				for (var refIndex = existing; refIndex < output.length; refIndex++) {
+					yield { // Glue the cluster info back onto the input ref
+						...output[refIndex],
+						[this.settings.actionField]: {
+							score: refs[refIndex].dedupe.score,
+							...refClusters[refIndex],
+							...(this.settings.explain && {explain: explanations[refIndex] || []}),
+						},
+					};
+				}
+				break;
+
+			case Dedupe.ACTIONS.MERGE: // Combine each cluster into one enriched ref, only following pairs whose duplicate would be removed (as `DELETE`)
+				var mergePairs = pairs.filter(pair => this.classifyRef(refs[pair.b]) == 'duplicate');
+				for (var cluster of this.groupClusters(refs.length, mergePairs)) {
+					if (_.last(cluster) < existing) continue; // Only existing refs - nothing to output
+					var primary = this.selectPrimary(cluster.map(i => refs[i]));
+					yield this.mergeRefs([
+						output[primary.index],
+						...cluster
+							.filter(i => i != primary.index)
+							.map(i => output[i]),
+					]);
+				}
+				break;
+		}
+	}
+
+
+	/**
+	* Run the deduplication process
+	* @param {array|string|AsyncIterable|Iterable} input Either an existing parsed collection of references, a path to parse, an array of paths to parse or an (async) iterable of references
+	* @returns {Promise<array>} The output collection with an additional field `dedupe` which is a floating value between 0 - 1
+	*
+	* @emits runMutated Emitted when the fully mutated library is ready to start deduplicating
+	* @emits stepStart Emitted as `(stepInfo)` before each step runs, see `getStepInfo()`
+	* @emits stepEnd Emitted as `(stepInfo)` after each step runs, see `getStepInfo()`
+	* @emits dupeFound Emitted as `({a, b, step, score})` for each duplicate pair found
+	* @emits complete Emitted as `(summary)` when the run has finished, see `getSummary()`
+	*/
+	run(input) {
+		var results;
+		return this.runSteps(input)
+			.then(res => Array.from(this.applyAction(results = res)))
+			.then(output => {
+				this.emit('complete', this.getSummary(results, output.length));
+				return output;
+			})
+	}
+
+
+	/**
+	* Incrementally deduplicate new references against an existing, already deduplicated, library
+	* Existing refs are never flagged as duplicates of each other, new refs are compared against both the existing refs and each other
+	* Duplicates between an existing and a new ref always link the new ref back to the existing ref, use `DUPEREF.RECNUMBER` or `DUPEREF.FINGERPRINT` to refer to existing refs by their record number or fingerprint
+	* @param {array|string|AsyncIterable|Iterable} existingRefs The existing deduplicated references, in any form accepted by `run()`
+	* @param {array|string|AsyncIterable|Iterable} newRefs The new references to deduplicate, in any form accepted by `run()`
+	* @returns {Promise<array>} The output collection of only the new refs, with `settings.action` applied. When `action=='merge'` any existing refs which have new duplicates are included, merged with those duplicates
+	*
+	* @emits complete Emitted as `(summary)` when the run has finished, see `getSummary()`. All other events are as `run()`
+	*/
+	runIncremental(existingRefs, newRefs) {
+		var results;
+		return Promise.all([this.readInput(existingRefs), this.readInput(newRefs)])
+			.then(([existing, added]) => {
+				if (!_.isArray(existing) || !_.isArray(added)) throw new Error('Input is not an array');
+				return this.runSteps([...existing, ...added], {existing: existing.length});
+			})
+			.then(res => Array.from(this.applyAction(results = res)))
+			.then(output => {
+				this.emit('complete', this.getSummary(results, output.length));
+				return output;
+			})
+	}
+
+
+	/**
+	* Summarize a finished run for the `complete` event
+	* Existing refs of an incremental run (see `runIncremental()`) are not counted as input references
+	* @param {Object} results The results of `runSteps()`
+	* @param {number} outputCount The number of output references
+	* @returns {Object} A summary object
+	* @property {number} refs The number of input references
+	* @property {number} duplicates The number of input references found to be a duplicate of another in at least one step
+	* @property {number} automatic The number of input references which are duplicates that can be removed automatically, see `classifyRef()`
+	* @property {number} review The number of input references which are possible duplicates that need manual review, see `classifyRef()`
+	* @property {array<Object>} steps The info of each step, see `getStepInfo()`
+	* @property {number} output The number of output references
+	* @property {Object} [sources] If any refs have a source, the per-source statistics (see `getSourceStats()`)
+	* @property {array<Object>} [reviewPairs] If there is a review band (see `settings.reviewThreshold`), the pairs which need manual review (see `getReviewPairs()`)
+	*/
+	getSummary(results, outputCount) {
+		var sources = this.getSourceStats(results);
+		var reviewPairs = this.getReviewThreshold() < this.getThreshold() ? this.getReviewPairs(results) : undefined;
+		var refs = results.refs.slice(results.existing || 0);
+		var classes = _.countBy(refs, ref => this.classifyRef(ref));
+		return {
+			refs: refs.length,
+			duplicates: refs.filter(ref => this.isDupe(ref)).length,
+			automatic: classes.duplicate || 0,
+			review: classes.review || 0,
+			steps: results.steps,
+			output: outputCount,
+			...(sources && {sources}),
+			...(reviewPairs && {reviewPairs}),
+		};
+	}
+
+
+	/**
+	* Collect the duplicate pairs of a finished run which need manual review, along with an explanation of how each was scored
+	* A pair needs review if its duplicate ref scores within the review band (see `classifyRef()`)
+	* @param {Object} results The results of `runSteps()`
+	* @returns {array<Object>} Collection of review pairs, in duplicate ref order
+	* @property {number} a The original reference, referred to via `settings.dupeRef`
+	* @property {number} b The duplicate reference needing review, referred to via `settings.dupeRef`
+	* @property {number} score The overall score of the duplicate reference
+	* @property {Object} refA The original input reference
+	* @property {Object} refB The duplicate input reference
+	* @property {array<Object>} steps The explanation of each step for the pair (see `explainPair()`)
+	*/
+	getReviewPairs(results) {
+		var strategy = this.getStrategy();
+		return _(results.pairs)
+			.filter(pair => this.classifyRef(results.refs[pair.b]) == 'review')
+			.uniqBy(pair => `${pair.a}:${pair.b}`)
+			.sortBy(['b', 'a'])
+			.map(pair => ({
+				a: this.getDupeRef(results.refs[pair.a]),
+				b: this.getDupeRef(results.refs[pair.b]),
+				score: results.refs[pair.b].dedupe.score,
+				refA: results.output[pair.a],
+				refB: results.output[pair.b],
+				steps: strategy.steps.map((step, stepIndex) => this.explainPair(results.refs[pair.a], results.refs[pair.b], step, stepIndex)),
+			}))
+			.value();
+	}
+
+
+	/**
+	* Compute a stable fingerprint of a reference which does not depend on its position within a library
+	* This is a hash of the database accession ID of the ref if it has one (see `getAccessionId()`), otherwise of the normalized `settings.fingerprintFields`, so the same record re-exported from a reference manager has the same fingerprint
+	* Identical refs share a fingerprint, use `getFingerprints()` to disambiguate them within a library as `run()` does
+	* @param {Object} ref The original reference
+	* @returns {string} A 16 character hex fingerprint
+	*/
+	getFingerprint(ref) {
+		var identity = this.getAccessionId(ref) || this.settings.fingerprintFields
+			.map(field => field == 'doi'
+				? toText(ref.doi).toLowerCase().replace(/^\s*(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/, '').trim()
+				: toTokens(_.deburr(toText(ref[field]))).join(' ')
+			)
+			.join('|');
+
+		return createHash('sha1').update(identity).digest('hex').slice(0, 16);
+	}
+
+
+	/**
+	* Compute the fingerprints of a library of references, disambiguating refs which share a fingerprint (see `getFingerprint()`)
+	* Fingerprints collide when refs have identical accession IDs or identifying fields, including all refs with none of `settings.fingerprintFields`
+	* The first ref with each fingerprint keeps it as is, later refs in input order are suffixed with their occurrence number, e.g. `'30c0ab12cd34ef56-2'`
+	* @param {array<Object>} refs The original references
+	* @returns {array<string>} The unique fingerprint of each ref, in the same order as `refs`
+	*/
+	getFingerprints(refs) {
+		var seen = {}; // Lookup of fingerprint -> number of occurrences so far
+		return refs.map(ref => {
+			var fingerprint = this.getFingerprint(ref);
+			seen[fingerprint] = (seen[fingerprint] || 0) + 1;
+			return seen[fingerprint] > 1 ? `${fingerprint}-${seen[fingerprint]}` : fingerprint;
+		});
+	}
+
+
+	/**
+	* Find the database accession ID of a reference, e.g. its PubMed ID, using `settings.fingerprintIds`
+	* @param {Object} ref The original reference
+	* @returns {string|undefined} The accession ID prefixed with its database name (e.g. `'pmid:12345678'`) or undefined if the ref has none
+	*/
+	getAccessionId(ref) {
+		var database = `${ref.database || ''} ${ref.databaseProvider || ''}`;
+		for (var [name, {fields, database: databaseRe, bare, normalize = id => id.toLowerCase()}] of Object.entries(this.settings.fingerprintIds)) {
+			var id = [...fields.map(field => ref[field]), databaseRe?.test(database) ? ref.accessionNum : undefined]
+				.filter(value => !this.isBlank(value))
+				.map(value => bare ? [...toText(value).matchAll(bare)].map(match => match[1] ?? match[0])[0] : toText(value).trim())
+				.map(value => value && normalize(value))
+				.find(Boolean);
+
+			if (id) return `${name}:${id}`;
+		}
+	}
+
+
+	/**
+	* Compute a lookup of all prior decisions (see `settings.decisions`)
+	* @returns {Object<string>} Lookup of pair key -> DECISIONS value
+	*/
+	getDecisionLookup() {
+		return Object.fromEntries(this.settings.decisions.map(decision => [decisionKey(decision.a, decision.b), decision.decision]));
+	}
+
+
+	/**
+	* Record a manual review decision for a pair of references, replacing any prior decision for the same pair
+	* Decisions are applied on the next `run()` and can be saved with `exportDecisions()`
+	* References are resolved via `getFingerprint()`, which cannot tell apart identical references, use the fingerprints `run()` assigns (see `getFingerprints()` or `DUPEREF.FINGERPRINT`) for these instead
+	* @param {Object|string} a The first reference or its fingerprint
+	* @param {Object|string} b The second reference or its fingerprint
+	* @param {string} decision Whether the pair is the same record or different records. ENUM: DECISIONS
+	* @returns {Dedupe} This chainable instance
+	*/
+	decide(a, b, decision) {
+		if (!Object.values(Dedupe.DECISIONS).includes(decision)) throw new Error(`Invalid decision "${decision}" - choose one of ${Object.values(Dedupe.DECISIONS).join(', ')}`);
+
+		var fingerprintA = _.isString(a) ? a : this.getFingerprint(a);
+		var fingerprintB = _.isString(b) ? b : this.getFingerprint(b);
+		if (fingerprintA == fingerprintB) throw new Error(`Cannot decide between references with the same fingerprint "${fingerprintA}" - use the fingerprints assigned by run() instead, see getFingerprints()`);
+		var key = decisionKey(fingerprintA, fingerprintB);
+
+		this.settings.decisions = [
+			...this.settings.decisions.filter(existing => decisionKey(existing.a, existing.b) != key),
+			{a: fingerprintA, b: fingerprintB, decision},
+		];
+		return this;
+	}
+
+
+	/**
+	* Export all decisions (see `settings.decisions`) as JSON, suitable for `loadDecisions()`
+	* @returns {string} The JSON encoded decisions
+	*/
+	exportDecisions() {
+		return JSON.stringify(this.settings.decisions, null, '\t');
+	}
+
+
+	/**
+	* Read prior decisions from a JSON file, as written from `exportDecisions()`
+	* The decisions are not applied until set as `settings.decisions`
+	* @param {string} path The path of the JSON file to read
+	* @returns {Promise<array<Object>>} A promise which will resolve with the decisions
+	*/
+	loadDecisions(path) {
+		return readFile(path, 'utf8')
+			.then(contents => JSON.parse(contents))
+			.then(decisions => {
+				if (!_.isArray(decisions)) throw new Error(`Decisions file "${path}" does not contain an array`);
+				decisions.forEach((decision, index) => {
+					if (!_.isString(decision?.a) || !_.isString(decision?.b)) throw new Error(`Invalid decisions file "${path}" - decision ${index} must have string fingerprints as "a" and "b"`);
+					if (!Object.values(Dedupe.DECISIONS).includes(decision.decision)) throw new Error(`Invalid decisions file "${path}" - decision ${index} has unknown decision "${decision.decision}", choose one of ${Object.values(Dedupe.DECISIONS).join(', ')}`);
+				});
+				return decisions;
 			})
+	}
+
+
+	/**
+	* Determine if a mutated ref was found to be a duplicate of another ref in at least one step or was linked to another by a prior decision
+	* @param {Object} ref The mutated reference to examine
+	* @returns {boolean} Whether the ref is a duplicate
+	*/
+	isDupe(ref) {
+		return ref.dedupe.steps.some(step => step?.dupeOf !== undefined) || !!ref.dedupe.linked?.length;
+	}
+
+
+	/**
+	* Classify a mutated ref after a run, based on its score
+	* @param {Object} ref The mutated reference to examine
+	* @returns {string} Either `'duplicate'` if the ref scores at or above the threshold (see `getThreshold()`) and would be removed automatically, `'review'` if it scores within the review band (see `getReviewThreshold()`) or `'unique'`
+	*/
+	classifyRef(ref) {
+		return ref.dedupe.score >= this.getThreshold() ? 'duplicate'
+			: ref.dedupe.score > 0 && ref.dedupe.score >= this.getReviewThreshold() ? 'review'
+			: 'unique';
+	}
+
+
+	/**
+	* Compute per-source statistics of a finished run, using the `settings.sourceField` of each ref
+	* Existing refs of an incremental run (see `runIncremental()`) are ignored
+	* @param {Object} results The results of `runSteps()`
+	* @returns {Object} The source statistics or undefined if no refs have a source
+	* @property {array<string>} names The source names in order of appearance
+	* @property {Object<Object>} counts Lookup of source name -> `{before, duplicates, after, automatic, review}` where `before` is the number of refs from that source, `duplicates` the number found to be a duplicate of another ref in any step, `automatic` the number which score at least the threshold and would be removed, `after` the number remaining once those are removed and `review` the number needing manual review (see `classifyRef()`)
+	* @property {Object<Object<number>>} overlap Matrix of source name -> source name -> the number of duplicate clusters containing refs from both sources. The diagonal counts clusters containing more than one ref from the same source
+	*/
+	getSourceStats(results) {
+		var existing = results.existing || 0;
+		var sourceOf = refIndex => refIndex < existing ? undefined : results.output[refIndex][this.settings.sourceField];
+		var names = _.uniq(results.output.map((ref, refIndex) => sourceOf(refIndex)))
+			.filter(name => !this.isBlank(name));
+		if (!names.length) return;
+
+		var counts = _(names)
+			.mapKeys()
+			.mapValues(()=> ({before: 0, duplicates: 0, after: 0, automatic: 0, review: 0}))
+			.value();
+		results.refs.forEach(ref => {
+			var count = counts[sourceOf(ref.index)];
+			if (!count) return;
+			count.before++;
+			if (this.isDupe(ref)) count.duplicates++;
+
+			var refClass = this.classifyRef(ref);
+			count[refClass == 'duplicate' ? 'automatic' : 'after']++; // Refs which would be removed, matching `DELETE`
+			if (refClass == 'review') count.review++;
+		});
+
+		var overlap = _.mapValues(counts, ()=> _.mapValues(counts, ()=> 0));
+		this.groupClusters(results.refs.length, results.pairs)
+			.filter(cluster => cluster.length > 1)
+			.forEach(cluster => {
+				var clusterSources = _.countBy(cluster.map(sourceOf).filter(name => counts[name]));
+				Object.keys(clusterSources).forEach(a => Object.keys(clusterSources).forEach(b => {
+					if (a != b || clusterSources[a] > 1) overlap[a][b]++;
+				}));
+			});
+
+		return {names, counts, overlap};
+	}
+
+
+	/**
+	* Compute the PRISMA 2020 flow diagram counts of duplicate removal from a run summary
+	* @param {Object} summary The run summary, as emitted by the `complete` event (see `getSummary()`)
+	* @returns {Object} The PRISMA report
+	* @property {Object} identified The records identified as `{total, sources}` where `sources` is a lookup of source name -> count
+	* @property {Object} removed The duplicate records removed automatically by the `DELETE` and `MERGE` actions as `{total, sources}`
+	* @property {Object} review The possible duplicate records flagged for manual review as `{total, sources}`
+	* @property {Object} remaining The records remaining to be screened (including those flagged for review) as `{total, sources}`
+	* @property {array<Object>} steps The duplicates found by each strategy step as `{step, title, duplicates}`. Refs can be found by multiple steps so these do not sum to the total
+	*/
+	prismaReport(summary) {
+		var sourceCounts = key => _.mapValues(summary.sources?.counts || {}, count => key(count));
+
+		return {
+			identified: {
+				total: summary.refs,
+				sources: sourceCounts(count => count.before),
+			},
+			removed: {
+				total: summary.automatic,
+				sources: sourceCounts(count => count.automatic),
+			},
+			review: {
+				total: summary.review,
+				sources: sourceCounts(count => count.review),
+			},
+			remaining: {
+				total: summary.refs - summary.automatic,
+				sources: sourceCounts(count => count.before - count.automatic),
+			},
+			steps: summary.steps.map(step => ({
+				step: step.stepIndex + 1,
+				title: step.title,
+				duplicates: step.duplicates,
+			})),
+		};
+	}
+
+
+	/**
+	* Render a PRISMA report of a run summary in a given format
+	* @param {Object} summary The run summary, as emitted by the `complete` event (see `getSummary()`)
+	* @param {string} [format='json'] The format to render, see `reportFormats`
+	* @returns {string} The rendered report
+	*/
+	renderReport(summary, format = 'json') {
+		if (!this.reportFormats[format]) throw new Error(`Unknown report format "${format}" - choose one of ${Object.keys(this.reportFormats).join(', ')}`);
+		return this.reportFormats[format].handler(this.prismaReport(summary));
+	}
+
+
+	/**
+	* Determine the report format to use from a file path extension
+	* @param {string} path The file path to examine
+	* @returns {string} The ID of the report format, see `reportFormats`
+	*/
+	getReportFormat(path) {
+		var ext = extname(path).toLowerCase();
+		var format = _.findKey(this.reportFormats, format => format.extensions.includes(ext));
+		if (!format) throw new Error(`Unknown report format for "${path}" - use one of the extensions ${_.flatMap(this.reportFormats, 'extensions').join(', ')}`);
+		return format;
+	}
+
+
+	/**
+	* Run the deduplication process, yielding each output reference as it is ready rather than building the full output collection
+	* When combined with `settings.lean` this avoids holding more than the input and the strategy fields of each ref in memory
+	* @param {array|string|AsyncIterable|Iterable} input The input references, see `run()`
+	* @returns {AsyncGenerator<Object>} An async generator of output references, which can be used with `for await` or `stream.Readable.from()`
+	*
+	* @emits runMutated Emitted when the fully mutated library is ready to start deduplicating
+	*/
+	async *stream(input) {
+		var results = await this.runSteps(input);
+		var outputCount = 0;
+		for (var ref of this.applyAction(results)) {
+			this.settings.signal?.throwIfAborted();
+			outputCount++;
+			yield ref;
+		}
+		this.emit('complete', this.getSummary(results, outputCount));
 	};
 }
@@ -1,6 +1,8 @@
 export default {
 	title: 'Forbes Automated Deduplication Sweep (Balanced)',
 	description: 'Deduplication Sweep with balance between False Positives and False Negatives',
+	threshold: 0.01,
+	fieldWeight: 'minimum',
 	mutators: {
 		authors: 'authorRewriteSingle',
 		doi: 'doiRewrite',
@@ -1,6 +1,8 @@
 export default {
 	title: 'Forbes Automated Deduplication Sweep (Thorough)',
 	description: 'Deduplication Sweep with Low Rate of False Negatives',
+	threshold: 0.01,
+	fieldWeight: 'minimum',
 	mutators: {
 		authors: 'authorRewriteSingle',
 		doi: ['doiRewrite', 'noCase'],
@@ -1,6 +1,8 @@
 export default {
 	title: 'Forbes Automated Deduplication Sweep (Cautious)',
 	description: 'Deduplication Sweep with Low Rate of False Positives',
+	threshold: 0.01,
+	fieldWeight: 'minimum',
 	mutators: {
 		authors: 'authorRewriteSingle',
 		doi: 'doiRewrite',
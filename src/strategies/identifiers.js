@@ -0,0 +1,22 @@
+export default {
+	title: 'Identifiers only',
+	description: 'Compare references by their DOI or any shared PubMed, PubMed Central, Embase, trial registry or book identifier',
+	mutators: {
+		doi: 'doiRewrite',
+		identifiers: 'identifierExtract',
+	},
+	steps: [
+		{
+			sort: 'doi',
+			fields: ['doi'],
+			comparison: 'exact',
+		},
+		{
+			fields: ['identifiers'],
+			comparison: 'shared',
+			blocking: {
+				keys: ['identifiers'],
+			},
+		},
+	],
+};
@@ -0,0 +1,29 @@
+import _ from 'lodash';
+import { parentPort, workerData } from 'worker_threads';
+import Dedupe from './index.js';
+
+/**
+* Worker thread used by `Dedupe.findHitsThreaded()`
+* Receives the strategy fields of each mutated ref, the strategy steps and any settings via `workerData`
+* Each `{stepIndex}` message runs that step, posting back `{stepIndex, progress}` as it runs and finally `{stepIndex, hits}` with each hit as an `[originalIndex, dupeIndex, score]` tuple
+*/
+var {refs, steps, settings} = workerData;
+var stepIndex; // The step currently being run
+var dedupe = new Dedupe(settings)
+	.on('progress', (current, max) => parentPort.postMessage({
+		stepIndex,
+		progress: current / max * steps.length - stepIndex, // Convert back into the progress of this step only
+	}));
+
+parentPort.on('message', message => {
+	stepIndex = message.stepIndex;
+	var step = steps[stepIndex];
+	var hits = step.blocking
+		? dedupe.blockStep(refs, step, stepIndex, steps.length)
+		: dedupe.sweepStep(_.sortBy(refs, step.sort), step, stepIndex, steps.length);
+
+	parentPort.postMessage({
+		stepIndex,
+		hits: hits.map(hit => [hit.original.index, hit.dupe.index, hit.score]),
+	});
+});
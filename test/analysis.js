@@ -48,9 +48,6 @@ var precisions = {};
 var recalls = {};
 var scores = {};
 
-/** Threshold for dupe */
-const threshold = 0.01
-
 strategies.forEach(strategy =>
 	describe(`${strategy} strategy`, ()=> {
 		datasets.forEach(dataset =>
@@ -61,70 +58,28 @@ strategies.forEach(strategy =>
 					.then(()=> reflib.readFile(`${__dirname}/data/${dataset}`))
 					.then(refs => (new Dedupe())
 						.set('validateStrategy', false)
-						.set('action', Dedupe.ACTIONS.STATS)
-						.set('strategy', strategy)
-						.set('actionField', 'result')
-						.set('fieldWeight', Dedupe.FIELDWEIGHT.MINIMUM)
-						.set('threshold', threshold) // TODO: Define this in strategy file
-						.set('markOriginal', true)
-						.run(refs)
+						.evaluate(refs, {
+							strategy,
+							labelField: 'caption',
+							labelDupe: 'Duplicate',
+						})
 					)
-					.then(refs => {
-						var stats = {nonDupeCorrect: 0, nonDupeWrong: 0, dupeCorrect: 0, dupeWrong: 0};
-						refs.forEach((ref, index, refs) => {
-							// Log false negative {{{
-							// ref.result = ref.result.score > 0.8 ? 'DUPE' : 'OK';
-							// console.log('FALSE NEGATIVE', {
-							// 	ref,
-							// 	dupeOf: ref.result.dupeOf.map(i => refs[i]),
-							// });
-							// }}}
-
-							if (ref.caption == 'Duplicate' && ref.result.score > threshold) {
-								stats.dupeCorrect++;
-							} else if (!ref.caption && ref.result.score > threshold) {
-								// Print false positive dupe along with its dupeOf
-								var dupeOf = null;
-								if (ref.result.dupeOf && ref.result.dupeOf[0]) {
-									dupeOf = refs[ref.result.dupeOf[0]]
-								}
-								else {
-									dupeOf = refs.find(reference => reference.result.dupeOf && (reference.result.dupeOf[0] == index));
-								}
-								// Log False Positive {{{
-								// console.log("False positive")
-								// console.log("Ref:", ref.title);
-								// console.log(ref);
-								// if (dupeOf) {
-								// 	console.log("Dupe:", dupeOf.title);
-								// 	console.log(dupeOf);
-								// }
-								// console.log("\n");
-								// }}}
-								stats.nonDupeWrong++;
-							} else if (!ref.caption && ref.result.score < threshold) {
-								stats.nonDupeCorrect++;
-							} else if (ref.caption == 'Duplicate' && ref.result.score < threshold) {
-								stats.dupeWrong++;
-							} else if (ref.result == 'DUPE') { // Lib has ref as nonDupe but we detected dupe
-								throw new Error(`Mismatched field comparison: caption=${ref.caption}, result=${ref.result}`);
-							}
-						});
-
-						mlog.log('Dupe correct     (TP)=', chalk.green(stats.dupeCorrect));
-						mlog.log('Non-Dupe wrong   (FP)=', stats.nonDupeWrong > 0 ? chalk.red(stats.nonDupeWrong) : chalk.green(0));
-						mlog.log('Non-Dupe correct (TN)=', chalk.green(stats.nonDupeCorrect));
-						mlog.log('Dupe wrong       (FN)=', stats.dupeWrong > 0 ? chalk.red(stats.dupeWrong) : chalk.green(0));
+					.then(stats => {
+						mlog.log('Dupe correct     (TP)=', chalk.green(stats.truePositives));
+						mlog.log('Non-Dupe wrong   (FP)=', stats.falsePositives > 0 ? chalk.red(stats.falsePositives) : chalk.green(0));
+						mlog.log('Non-Dupe correct (TN)=', chalk.green(stats.trueNegatives));
+						mlog.log('Dupe wrong       (FN)=', stats.falseNegatives > 0 ? chalk.red(stats.falseNegatives) : chalk.green(0));
 						mlog.log(chalk.gray('----------------------------------------'));
 
-						var accuracy = (stats.dupeCorrect + stats.nonDupeCorrect) / (stats.dupeCorrect + stats.nonDupeCorrect + stats.dupeWrong + stats.nonDupeWrong) || 0;
-						var precision = stats.dupeCorrect / (stats.dupeCorrect + stats.nonDupeWrong) || 0;
-						var recall = stats.dupeCorrect / (stats.dupeCorrect + stats.dupeWrong) || 0;
-						var score = 2 * ((precision * recall) / (precision + recall)) || 0;
+						var {accuracy, precision, recall, f1: score} = stats;
 						mlog.log('Accuracy        =', chalk.yellow(accuracy.toFixed(4)));
 						mlog.log('Precision        =', chalk.yellow(precision.toFixed(4)));
 						mlog.log('Recall           =', chalk.yellow(recall.toFixed(4)));
 						mlog.log('F1 Score         =', chalk.bold.yellow(score.toFixed(4)));
+						mlog.log(chalk.gray('----------------------------------------'));
+						stats.steps.forEach(step =>
+							mlog.log(`Step #${step.step+1}`, chalk.white(step.title), 'TP=', chalk.green(step.truePositives), 'FP=', step.falsePositives > 0 ? chalk.red(step.falsePositives) : chalk.green(0), chalk.gray(`(unique TP=${step.uniqueTruePositives}, FP=${step.uniqueFalsePositives})`))
+						);
 						mlog.log();
 
 						accuracies[strategy] = (accuracies[strategy] ?? []).concat([accuracy]);
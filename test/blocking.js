@@ -0,0 +1,56 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Blocking', ()=> {
+
+	var dedupe = new Dedupe();
+
+	var refs = [
+		{title: '"Aspirin for the prevention of stroke', year: '2020', authors: ['Gates, B.']},
+		{title: 'A different paper entirely', year: '2020', authors: ['Jobs, S.']},
+		{title: 'Aspirin for the prevention of stroke', year: '2021', authors: ['Balmer, S.']},
+		{title: 'Aspirin for the prevension of stroke', year: '2020', authors: ['Gates, Bill']},
+	].map((ref, index) => ({...ref, index}));
+
+	var hitPairs = step => dedupe.blockStep(refs, {comparison: 'jaroWinkler', fields: ['title'], threshold: 0.9, ...step}, 0, 1)
+		.map(hit => [hit.original.index, hit.dupe.index]);
+
+	it('should generate blocking keys', ()=> {
+		expect(dedupe.blockers.titlePrefix.handler(refs[0], {})).to.be.equal('aspirinfor');
+		expect(dedupe.blockers.titlePrefix.handler(refs[0], {prefixLength: 4})).to.be.equal('aspi');
+		expect(dedupe.blockers.yearAuthor.handler(refs[3], {})).to.be.equal('2020:gates');
+		expect(dedupe.blockers.yearAuthor.handler({year: '2020'}, {})).to.be.equal('');
+		expect(dedupe.blockers.minhash.handler(refs[0], {bands: 4, rows: 2})).to.have.length(4);
+		expect(dedupe.blockers.minhash.handler(refs[0], {})).to.be.deep.equal(dedupe.blockers.minhash.handler(refs[2], {}));
+	});
+
+	it('should only compare refs sharing a block', ()=> {
+		expect(hitPairs({blocking: {keys: ['titlePrefix']}})).to.be.deep.equal([[0, 2], [0, 3], [2, 3]]);
+		expect(hitPairs({blocking: {keys: ['yearAuthor']}})).to.be.deep.equal([[0, 3]]);
+		expect(hitPairs({blocking: {keys: ['yearAuthor'], maxBlockSize: 1}})).to.be.deep.equal([]);
+	});
+
+	it('should find candidates via MinHash buckets', ()=> {
+		expect(hitPairs({blocking: {keys: ['minhash'], bands: 16, rows: 2}})).to.deep.include.members([[0, 2]]);
+	});
+
+	it('should support the sorted-neighbourhood window', ()=> {
+		expect(hitPairs({blocking: {keys: ['titlePrefix'], window: 1}})).to.be.deep.equal([[0, 2], [2, 3]]);
+	});
+
+	it('should validate blocking keys', ()=> {
+		expect(dedupe.validateStrategy({
+			title: 'Test',
+			description: 'Test',
+			mutators: {},
+			steps: [{
+				fields: ['title'],
+				comparison: 'exact',
+				blocking: {keys: ['doi', 'titleSuffix']},
+			}],
+		})).to.be.deep.equal([
+			{path: 'steps[0].blocking.keys[1]', message: 'Unknown blocking key "titleSuffix" - did you mean "titlePrefix"?'},
+		]);
+	});
+
+});
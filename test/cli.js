@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+
+// Fix __dirname in es
+import path from 'path';
+import {fileURLToPath} from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+* Run the built `dedupe-sweep` command (the package `bin`) with the given arguments
+* @param {array<string>} args The arguments to pass
+* @returns {Promise<Object>} A promise which resolves with the `{stdout, stderr}` of the command
+*/
+var runCli = args => new Promise((resolve, reject) =>
+	execFile(process.execPath, [`${__dirname}/../lib/cli.js`, ...args], (err, stdout, stderr) =>
+		err ? reject(new Error(`${err.message}\n${stderr}`)) : resolve({stdout, stderr})
+	)
+);
+
+describe('Command line interface', function() {
+	this.timeout(60 * 1000);
+
+	var dir;
+	before('create temp directory', ()=> dir = fs.mkdtempSync(`${os.tmpdir()}/dedupe-cli-`));
+	after('remove temp directory', ()=> fs.rmSync(dir, {recursive: true, force: true}));
+
+	it('should show help', ()=>
+		runCli(['--help'])
+			.then(({stdout}) => expect(stdout).to.include('Usage: dedupe-sweep'))
+	);
+
+	it('should deduplicate a library into an output file', ()=>
+		runCli([`${__dirname}/data/copper.xml`, '-s', 'forbes', '-a', 'delete', '-o', `${dir}/copper.json`])
+			.then(({stderr}) => {
+				var output = JSON.parse(fs.readFileSync(`${dir}/copper.json`, 'utf8'));
+				expect(output).to.be.an('array');
+				expect(output.length).to.be.above(0).and.below(505);
+
+				var steps = stderr.split('\n').filter(line => /^Step \d+\/5:/.test(line));
+				expect(steps).to.have.length(5);
+				expect(steps[0]).to.match(/^Step 1\/5: title \+ volume - \d+ duplicates found$/);
+				expect(stderr).to.match(/^Processed 505 refs using the "forbes" strategy - \d+ duplicates found$/m);
+				expect(stderr).to.include(`Wrote ${output.length} refs to ${dir}/copper.json`);
+			})
+	);
+
+	it('should use file names as sources when given multiple files', ()=>
+		runCli([`${__dirname}/data/copper.xml`, `${__dirname}/data/tafenoquine.xml`, '--source-file-field', 'file', '-o', `${dir}/combined.json`])
+			.then(({stderr}) => {
+				expect(stderr).to.match(/^Source copper\.xml: 505 refs, \d+ duplicates, \d+ remaining$/m);
+				expect(stderr).to.match(/^Source tafenoquine\.xml: \d+ refs, \d+ duplicates, \d+ remaining$/m);
+
+				var output = JSON.parse(fs.readFileSync(`${dir}/combined.json`, 'utf8'));
+				expect(output[0]).to.include({source: 'copper.xml', file: 'copper.xml'});
+				expect(output.at(-1)).to.include({source: 'tafenoquine.xml', file: 'tafenoquine.xml'});
+			})
+	);
+
+	it('should exit with an error on an unknown action', ()=>
+		runCli([`${__dirname}/data/copper.xml`, '-a', 'nope'])
+			.then(()=> expect.fail('Expected the command to fail'))
+			.catch(e => expect(e.message).to.include('Unknown action "nope"'))
+	);
+
+});
@@ -27,4 +27,54 @@ describe('Comparisons', ()=> {
 		expect(dedupe.comparisons.jaroWinkler.handler('onetwothree', 'onetXothree')).to.be.equal(0.9636363636363636);
 	});
 
+	it('levenshtein', ()=> {
+		expect(dedupe.comparisons.levenshtein.handler('one', 'one')).to.be.equal(1);
+		expect(dedupe.comparisons.levenshtein.handler('kitten', 'sitting')).to.be.closeTo(0.5714, 0.0001);
+		expect(dedupe.comparisons.levenshtein.handler('one', 'two')).to.be.equal(0);
+	});
+
+	it('tokenSort', ()=> {
+		expect(dedupe.comparisons.tokenSort.handler('The effect of aspirin: a trial', 'A trial: the effect of aspirin')).to.be.equal(1);
+		expect(dedupe.comparisons.tokenSort.handler('effect of aspirin', 'effect of aspirin on stroke')).to.be.closeTo(0.6296, 0.0001);
+	});
+
+	it('tokenSet', ()=> {
+		expect(dedupe.comparisons.tokenSet.handler('The effect of aspirin: a trial', 'A trial: the effect of aspirin')).to.be.equal(1);
+		expect(dedupe.comparisons.tokenSet.handler('effect of aspirin', 'effect of aspirin on stroke')).to.be.equal(1);
+		expect(dedupe.comparisons.tokenSet.handler('kitten', 'sitting')).to.be.closeTo(0.5714, 0.0001);
+	});
+
+	it('jaccard', ()=> {
+		expect(dedupe.comparisons.jaccard.handler('one', 'one')).to.be.equal(1);
+		expect(dedupe.comparisons.jaccard.handler('kitten', 'sitting')).to.be.equal(0.125);
+		expect(dedupe.comparisons.jaccard.handler('one', 'two')).to.be.equal(0);
+	});
+
+	it('dice', ()=> {
+		expect(dedupe.comparisons.dice.handler('one', 'one')).to.be.equal(1);
+		expect(dedupe.comparisons.dice.handler('night', 'nacht')).to.be.equal(0.25);
+		expect(dedupe.comparisons.dice.handler('one', 'two')).to.be.equal(0);
+	});
+
+	it('mongeElkan', ()=> {
+		expect(dedupe.comparisons.mongeElkan.handler('B. Gates, S. Balmer', 'S. Balmer, B. Gates')).to.be.equal(1);
+		expect(dedupe.comparisons.mongeElkan.handler(['B. Gates', 'S. Balmer'], ['S. Balmer', 'B. Gates', 'P. Allen'])).to.be.closeTo(0.9414, 0.0001);
+		expect(dedupe.comparisons.mongeElkan.handler('', 'B. Gates')).to.be.equal(0);
+	});
+
+	it('authorOverlap', ()=> {
+		expect(dedupe.comparisons.authorOverlap.handler(['Gates, B.', 'Balmer, S.', 'Allen, P.'], ['Gates, Bill', 'Balmer, Steve', 'Allen, Paul', 'Jobs, S.', 'Wozniak, S.', 'Ive, J.'])).to.be.equal(1);
+		expect(dedupe.comparisons.authorOverlap.handler(['Gates, B. H.', 'Balmer, S.', 'et al.'], 'Bill Gates, Steven Anthony Balmer')).to.be.equal(1);
+		expect(dedupe.comparisons.authorOverlap.handler(['Gates, B.', 'Balmer, S.'], 'Steven Balmer, Bill Gates')).to.be.equal(0.5);
+		expect(dedupe.comparisons.authorOverlap.handler(['Gates, B.'], ['Jobs, S.'])).to.be.equal(0);
+		expect(dedupe.comparisons.authorOverlap.handler([], ['Jobs, S.'])).to.be.equal(0);
+	});
+
+	it('shared', ()=> {
+		expect(dedupe.comparisons.shared.handler('pmid:123 nct:NCT01234567', 'nct:NCT01234567')).to.be.equal(1);
+		expect(dedupe.comparisons.shared.handler(['pmid:123'], 'pmid:123 pmcid:PMC1234')).to.be.equal(1);
+		expect(dedupe.comparisons.shared.handler('pmid:123', 'pmid:1234')).to.be.equal(0);
+		expect(dedupe.comparisons.shared.handler('', '')).to.be.equal(0);
+	});
+
 });
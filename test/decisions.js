@@ -0,0 +1,113 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+import { mkdtemp, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+
+describe('Review decisions', ()=> {
+
+	var refs = [
+		{title: 'Omega trial of widget therapy', year: '2020', volume: '21', journal: 'Trials'}, // Protocol...
+		{title: 'Omega trial of widget therapy', year: '2020', volume: '21', journal: 'Lancet'}, // ...and results sharing a title, flagged by the strategy but different records
+		{title: 'Sigma study of gadgets', year: '2021', volume: '2'},
+		{title: 'Sigma study of gadgets', year: '2021', volume: '3'},
+		{title: 'Etude sigma sur les gadgets', year: '2021', volume: '2'}, // Translation of the Sigma study, not found by the strategy
+	];
+
+	var dupeOf = output => output.map(ref => ref.dedupe.dupeOf);
+
+	it('should compute stable fingerprints', ()=> {
+		var dedupe = new Dedupe();
+		expect(dedupe.getFingerprint(refs[0])).to.match(/^[0-9a-f]{16}$/);
+		expect(dedupe.getFingerprint({...refs[0], doi: '10.1000/a'})).to.equal(dedupe.getFingerprint({...refs[0], doi: 'https://doi.org/10.1000/A', title: 'OMEGA trial: of widget therapy'}));
+		expect(dedupe.getFingerprint(refs[0])).to.not.equal(dedupe.getFingerprint(refs[1]));
+		expect(dedupe.getFingerprint(refs[2])).to.not.equal(dedupe.getFingerprint(refs[3]));
+	});
+
+	it('should force separate pairs decided as different', ()=> {
+		var dedupe = new Dedupe().set('strategy', 'clark');
+		return dedupe.run(refs)
+			.then(output => expect(dupeOf(output)).to.deep.equal([[], [0], [], [2], []]))
+			.then(()=> dedupe.decide(refs[0], refs[1], Dedupe.DECISIONS.DIFFERENT).run(refs))
+			.then(output => expect(dupeOf(output)).to.deep.equal([[], [], [], [2], []]))
+	});
+
+	it('should force link pairs decided as the same', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.DELETE})
+			.decide(refs[4], refs[2], Dedupe.DECISIONS.SAME)
+			.run(refs)
+			.then(output => expect(output.map(ref => ref.title)).to.deep.equal(['Omega trial of widget therapy', 'Sigma study of gadgets']))
+	);
+
+	it('should link the least preferred ref back to the most preferred', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.CLUSTER})
+			.decide(refs[4], refs[2], Dedupe.DECISIONS.SAME)
+			.run(refs)
+			.then(output => {
+				expect(output[4].dedupe).to.include({score: 1, primary: 2});
+				expect(output[4].dedupe.members).to.deep.equal([2, 3, 4]);
+			})
+	);
+
+	it('should apply decisions regardless of ref order', ()=>
+		(new Dedupe())
+			.set('strategy', 'clark')
+			.decide(refs[0], refs[1], Dedupe.DECISIONS.DIFFERENT)
+			.run([...refs].reverse())
+			.then(output => expect(dupeOf(output)).to.deep.equal([[], [], [1], [], []]))
+	);
+
+	it('should apply decisions in worker threads', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', threads: 2})
+			.decide(refs[0], refs[1], Dedupe.DECISIONS.DIFFERENT)
+			.decide(refs[4], refs[2], Dedupe.DECISIONS.SAME)
+			.run(refs)
+			.then(output => expect(dupeOf(output)).to.deep.equal([[], [], [], [2], [2]]))
+	);
+
+	it('should decide between refs with colliding fingerprints', ()=> {
+		var companions = [ // Protocol and results with identical identifying fields
+			{title: 'Omega trial of widget therapy', year: '2020', volume: '21', journal: 'Trials', abstract: 'Protocol'},
+			{title: 'Omega trial of widget therapy', year: '2020', volume: '21', journal: 'Trials', abstract: 'Results'},
+		];
+		var dedupe = new Dedupe().set({strategy: 'clark', action: Dedupe.ACTIONS.DELETE});
+		expect(()=> dedupe.decide(companions[0], companions[1], Dedupe.DECISIONS.DIFFERENT)).to.throw(/Cannot decide between references with the same fingerprint/);
+
+		var [fingerprintA, fingerprintB] = dedupe.getFingerprints(companions);
+		return dedupe.run(companions)
+			.then(output => expect(output).to.have.length(1))
+			.then(()=> dedupe.decide(fingerprintA, fingerprintB, Dedupe.DECISIONS.DIFFERENT).run(companions))
+			.then(output => expect(output.map(ref => ref.abstract)).to.deep.equal(['Protocol', 'Results']))
+	});
+
+	it('should replace prior decisions for the same pair', ()=> {
+		var dedupe = new Dedupe()
+			.decide(refs[0], refs[1], Dedupe.DECISIONS.DIFFERENT)
+			.decide(refs[1], refs[0], Dedupe.DECISIONS.SAME);
+
+		expect(dedupe.settings.decisions).to.deep.equal([
+			{a: dedupe.getFingerprint(refs[1]), b: dedupe.getFingerprint(refs[0]), decision: 'same'},
+		]);
+		expect(()=> dedupe.decide(refs[0], refs[1], 'maybe')).to.throw(/Invalid decision "maybe"/);
+	});
+
+	it('should export and load decisions', ()=> {
+		var dedupe = new Dedupe()
+			.decide(refs[0], refs[1], Dedupe.DECISIONS.DIFFERENT)
+			.decide(refs[4], refs[2], Dedupe.DECISIONS.SAME);
+
+		var dir;
+		return mkdtemp(`${tmpdir()}/dedupe-`)
+			.then(res => dir = res)
+			.then(()=> writeFile(`${dir}/decisions.json`, dedupe.exportDecisions()))
+			.then(()=> (new Dedupe()).loadDecisions(`${dir}/decisions.json`))
+			.then(decisions => expect(decisions).to.deep.equal(dedupe.settings.decisions))
+			.then(()=> writeFile(`${dir}/invalid.json`, JSON.stringify([{a: 'abc', b: 'def', decision: 'maybe'}])))
+			.then(()=> (new Dedupe()).loadDecisions(`${dir}/invalid.json`))
+			.then(()=> expect.fail('Expected loadDecisions() to reject'))
+			.catch(e => expect(e.message).to.match(/unknown decision "maybe"/))
+	});
+
+});
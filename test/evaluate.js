@@ -0,0 +1,86 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Evaluate', ()=> {
+
+	var refs = [
+		{doi: '10.1000/182', caption: 'Duplicate'}, // TP
+		{doi: 'https://doi.org/10.1000/182', caption: 'Duplicate'}, // TP
+		{doi: '10.1000/183', caption: 'Duplicate'}, // FN
+		{doi: '10.1000/184'}, // FP
+		{doi: '10.1000/184'}, // FP
+		{doi: '10.1000/185'}, // TN
+	];
+
+	it('should compute metrics against a labelled library', ()=>
+		(new Dedupe())
+			.evaluate(refs, {strategy: 'doiOnly'})
+			.then(stats => {
+				expect(stats).to.deep.include({
+					truePositives: 2,
+					falsePositives: 2,
+					trueNegatives: 1,
+					falseNegatives: 1,
+					accuracy: 0.5,
+					precision: 0.5,
+					recall: 2 / 3,
+					specificity: 1 / 3,
+				});
+				expect(stats.f1).to.be.closeTo(0.5714, 0.0001);
+				expect(stats.steps).to.deep.equal([
+					{step: 0, title: 'doi', truePositives: 2, falsePositives: 2, uniqueTruePositives: 2, uniqueFalsePositives: 2},
+				]);
+			})
+	);
+
+	it('should support custom labels without altering settings', ()=> {
+		var dedupe = new Dedupe();
+		return dedupe
+			.evaluate(refs.map(ref => ({...ref, label: ref.caption ? 'dupe' : 'unique'})), {
+				strategy: 'doiOnly',
+				labelDupe: ref => ref.label == 'dupe',
+			})
+			.then(stats => {
+				expect(stats).to.deep.include({truePositives: 2, falsePositives: 2});
+				expect(dedupe.settings).to.deep.include({strategy: 'clark', action: Dedupe.ACTIONS.STATS, markOriginal: false});
+			})
+	});
+
+	it('should sweep thresholds and field weights', ()=>
+		(new Dedupe())
+			.sweepThresholds(refs, {strategy: 'doiOnly', thresholds: [0, 0.5, 1]})
+			.then(sweep => {
+				expect(sweep.points).to.have.length(6);
+				expect(sweep.points.map(p => [p.fieldWeight, p.threshold, p.recall])).to.deep.equal([
+					['MINIMUM', 0, 1],
+					['MINIMUM', 0.5, 2 / 3],
+					['MINIMUM', 1, 2 / 3],
+					['AVERAGE', 0, 1],
+					['AVERAGE', 0.5, 2 / 3],
+					['AVERAGE', 1, 2 / 3],
+				]);
+				expect(sweep.curves).to.have.all.keys('MINIMUM', 'AVERAGE');
+				expect(sweep.curves.MINIMUM.roc).to.deep.equal([
+					{threshold: 0.5, falsePositiveRate: 2 / 3, truePositiveRate: 2 / 3},
+					{threshold: 1, falsePositiveRate: 2 / 3, truePositiveRate: 2 / 3},
+					{threshold: 0, falsePositiveRate: 1, truePositiveRate: 1},
+				]);
+				expect(sweep.curves.MINIMUM.auc).to.be.closeTo(0.5, 0.0001);
+				expect(sweep.recommended).to.deep.include({fieldWeight: 'MINIMUM', threshold: 0});
+			})
+	);
+
+	it('should use strategy thresholds and field weights', ()=> {
+		var dedupe = new Dedupe().set('strategy', 'forbes');
+		expect(dedupe.getThreshold()).to.equal(0.01);
+		expect(dedupe.getFieldWeight()).to.equal(Dedupe.FIELDWEIGHT.MINIMUM);
+
+		dedupe.set('strategy', 'clark');
+		expect(dedupe.getThreshold()).to.equal(0.1);
+
+		dedupe.set({threshold: 0.5, fieldWeight: Dedupe.FIELDWEIGHT.AVERAGE});
+		expect(dedupe.getThreshold()).to.equal(0.5);
+		expect(dedupe.getFieldWeight()).to.equal(Dedupe.FIELDWEIGHT.AVERAGE);
+	});
+
+});
@@ -0,0 +1,106 @@
+import _ from 'lodash';
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+import reflib from '@iebh/reflib';
+
+// Fix __dirname in es
+import path from 'path';
+import {fileURLToPath} from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Lifecycle events + cancellation', function() {
+	this.timeout(30 * 1000);
+
+	var refs;
+	before('load tafenoquine dataset', ()=>
+		reflib.readFile(`${__dirname}/data/tafenoquine.xml`)
+			.then(res => refs = res)
+	);
+
+	it('should emit step, duplicate and completion events', ()=> {
+		var events = [];
+		var dupes = [];
+		var summary;
+
+		return (new Dedupe())
+			.set('strategy', 'clark')
+			.on('stepStart', info => events.push(['stepStart', info]))
+			.on('stepEnd', info => events.push(['stepEnd', info]))
+			.on('dupeFound', pair => dupes.push(pair))
+			.on('complete', res => summary = res)
+			.run(refs)
+			.then(output => {
+				expect(events.map(([event, info]) => `${event}:${info.stepIndex}`)).to.deep.equal([
+					'stepStart:0', 'stepEnd:0',
+					'stepStart:1', 'stepEnd:1',
+					'stepStart:2', 'stepEnd:2',
+					'stepStart:3', 'stepEnd:3',
+				]);
+				expect(events[0][1]).to.deep.equal({stepIndex: 0, stepCount: 4, title: 'doi'});
+				expect(events[3][1]).to.have.property('title', 'authors + year + title + volume + issue + type');
+
+				var stepEnds = events.filter(([event]) => event == 'stepEnd').map(([event, info]) => info);
+				expect(_.sum(stepEnds.map(info => info.hits))).to.equal(dupes.length);
+				stepEnds.forEach(info => expect(info.duplicates).to.be.at.most(info.hits));
+
+				dupes.forEach(pair => {
+					expect(pair).to.have.all.keys('a', 'b', 'step', 'score');
+					expect(output[pair.b].dedupe.score).to.be.above(0);
+				});
+
+				expect(summary).to.deep.equal({
+					refs: refs.length,
+					duplicates: output.filter(ref => ref.dedupe.dupeOf.length).length,
+					automatic: output.filter(ref => ref.dedupe.score >= 0.1).length,
+					review: 0,
+					steps: stepEnds,
+					output: refs.length,
+				});
+			})
+	});
+
+	it('should reject immediately if already aborted', ()=> {
+		var controller = new AbortController();
+		controller.abort();
+
+		return (new Dedupe())
+			.set({strategy: 'clark', signal: controller.signal})
+			.run(refs)
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => expect(e.name).to.equal('AbortError'))
+	});
+
+	it('should abort between steps', ()=> {
+		var controller = new AbortController();
+		var started = [];
+
+		return (new Dedupe())
+			.set({strategy: 'clark', signal: controller.signal})
+			.on('stepStart', info => started.push(info.stepIndex))
+			.on('stepEnd', info => info.stepIndex == 1 && controller.abort())
+			.run(refs)
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => {
+				expect(e.name).to.equal('AbortError');
+				expect(started).to.deep.equal([0, 1]);
+			})
+	});
+
+	it('should abort worker threads', ()=> {
+		var controller = new AbortController();
+		var ended = [];
+
+		return (new Dedupe())
+			.set({strategy: 'forbesMinFN', threads: 2, signal: controller.signal})
+			.on('stepStart', ()=> controller.abort(new Error('Cancelled by user')))
+			.on('stepEnd', info => ended.push(info.stepIndex))
+			.run(refs)
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => {
+				expect(e.message).to.equal('Cancelled by user');
+				expect(ended).to.be.empty;
+			})
+	});
+
+});
@@ -0,0 +1,48 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Explain', ()=> {
+
+	it('should explain a single pair', ()=> {
+		var explanation = (new Dedupe())
+			.set('strategy', 'forbes')
+			.explain(
+				{title: 'Hello <b>World</b>', volume: '1', year: '2020'},
+				{title: 'hello world', volume: '2', year: '2020'},
+			);
+
+		expect(explanation).to.have.property('duplicate', true);
+		expect(explanation.steps).to.have.length(5);
+		expect(explanation.steps[0]).to.deep.include({step: 0, title: 'title + volume', score: 0, hit: false, fieldWeight: 'MINIMUM'});
+		expect(explanation.steps[0].fields).to.deep.equal([
+			{field: 'title', comparison: 'exact', missing: 'zero', weight: 1, score: 1, valueA: 'helloworld', valueB: 'helloworld'},
+			{field: 'volume', comparison: 'exact', missing: 'zero', weight: 1, score: 0, valueA: '1', valueB: '2'},
+		]);
+		expect(explanation.steps[1]).to.deep.include({step: 1, title: 'title + year', score: 1, hit: true});
+	});
+
+	it('should include explanations in the output', ()=>
+		(new Dedupe())
+			.set('strategy', 'doiOnly')
+			.set('explain', true)
+			.run([
+				{doi: 'https://doi.org/10.1000/182'},
+				{doi: '10.1000/182'},
+			])
+			.then(output => {
+				expect(output[0].dedupe.explain).to.deep.equal([]);
+				expect(output[1].dedupe.explain).to.deep.equal([{
+					a: 0,
+					b: 1,
+					step: 0,
+					title: 'doi',
+					score: 1,
+					hit: true,
+					fieldWeight: 'MINIMUM',
+					threshold: undefined,
+					fields: [{field: 'doi', comparison: 'exact', missing: 'zero', weight: 1, score: 1, valueA: 'https://doi.org/10.1000/182', valueB: 'https://doi.org/10.1000/182'}],
+				}]);
+			})
+	);
+
+});
@@ -0,0 +1,62 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import reflib from '@iebh/reflib';
+
+// Fix __dirname in es
+import path from 'path';
+import {fileURLToPath} from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('File input / output', ()=> {
+
+	it('should read a library from a path', ()=>
+		(new Dedupe())
+			.set('strategy', 'forbes')
+			.run(`${__dirname}/data/tafenoquine.xml`)
+			.then(output => {
+				expect(output).to.have.length(179);
+				output.forEach(ref => {
+					expect(ref).to.have.property('sourceFile', 'tafenoquine.xml');
+					expect(ref).to.have.nested.property('dedupe.score');
+				});
+			})
+	);
+
+	it('should read multiple libraries from paths', ()=>
+		(new Dedupe())
+			.set('strategy', 'forbes')
+			.set('sourceFileField', 'library')
+			.run([`${__dirname}/data/tafenoquine.xml`, `${__dirname}/data/copper.xml`])
+			.then(output => {
+				expect(output).to.have.length(179 + 505);
+				expect(output[0]).to.have.property('library', 'tafenoquine.xml');
+				expect(output[179]).to.have.property('library', 'copper.xml');
+			})
+	);
+
+	it('should reject unknown file formats', ()=>
+		(new Dedupe())
+			.run('library.unknown')
+			.then(()=> expect.fail('Should have rejected'))
+			.catch(e => expect(e.message).to.match(/Unable to identify/))
+	);
+
+	it('should write the output to a file', function() {
+		var outPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-')), 'output.ris');
+		return (new Dedupe())
+			.set('strategy', 'forbes')
+			.set('action', Dedupe.ACTIONS.DELETE)
+			.runFile(`${__dirname}/data/tafenoquine.xml`, outPath)
+			.then(output => reflib.readFile(outPath)
+				.then(refs => {
+					expect(refs).to.have.length(output.length);
+					expect(refs.length).to.be.below(179);
+				})
+			)
+			.finally(()=> fs.rmSync(path.dirname(outPath), {recursive: true}))
+	});
+
+});
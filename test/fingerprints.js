@@ -0,0 +1,87 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Fingerprints', ()=> {
+
+	var refs = [
+		{title: 'Metformin in gestational diabetes', year: '2020', doi: '10.1000/metformin', accessionNum: '111', database: 'PubMed'},
+		{title: 'Metformin in gestational diabetes', year: '2020', doi: '10.1000/metformin', accessionNum: 'L2002222', databaseProvider: 'Ovid Embase'},
+		{title: 'Exercise therapy for knee osteoarthritis', year: '2021'},
+		{title: 'Exercise therapy for knee osteoarthritis', year: '2021', journal: 'Physiotherapy'},
+	];
+
+	it('should find database accession IDs', ()=> {
+		var dedupe = new Dedupe();
+		expect(dedupe.getAccessionId(refs[0])).to.equal('pmid:111');
+		expect(dedupe.getAccessionId(refs[1])).to.equal('embase:L2002222');
+		expect(dedupe.getAccessionId({medlinePMID: ' 111 '})).to.equal('pmid:111');
+		expect(dedupe.getAccessionId({pmid: '00123'})).to.equal(dedupe.getAccessionId({pmid: '123'}));
+		expect(dedupe.getAccessionId({embaseId: 'l2002222'})).to.equal('embase:L2002222');
+		expect(dedupe.getAccessionId({pmid: 'Not a PMID', medlinePMID: '111'})).to.equal('pmid:111');
+		expect(dedupe.getAccessionId({accessionNum: '111'})).to.be.undefined;
+		expect(dedupe.getAccessionId(refs[2])).to.be.undefined;
+	});
+
+	it('should prefer accession IDs over other fields', ()=> {
+		var dedupe = new Dedupe();
+		expect(dedupe.getFingerprint(refs[0])).to.equal(dedupe.getFingerprint({medlinePMID: '111', title: 'Metformin in gestational diabetes (corrected)'}));
+		expect(dedupe.getFingerprint(refs[0])).to.not.equal(dedupe.getFingerprint(refs[1]));
+		expect(dedupe.getFingerprint(refs[2])).to.not.equal(dedupe.getFingerprint(refs[3]));
+	});
+
+	it('should refer to refs by fingerprint regardless of array position', ()=> {
+		var dedupe = new Dedupe().set({strategy: 'clark', dupeRef: Dedupe.DUPEREF.FINGERPRINT});
+		var dupes = [];
+		dedupe.on('dupeFound', pair => dupes.push(pair));
+
+		return dedupe.run(refs)
+			.then(output => {
+				expect(output.map(ref => ref.dedupe.dupeOf)).to.deep.equal([
+					[],
+					[dedupe.getFingerprint(refs[0])],
+					[],
+					[dedupe.getFingerprint(refs[2])],
+				]);
+				expect(dupes[0]).to.include({a: dedupe.getFingerprint(refs[0]), b: dedupe.getFingerprint(refs[1])});
+				return dedupe.run([...refs].reverse());
+			})
+			.then(output => expect(output.map(ref => ref.dedupe.dupeOf)).to.deep.equal([
+				[],
+				[dedupe.getFingerprint(refs[3])],
+				[],
+				[dedupe.getFingerprint(refs[1])],
+			]))
+	});
+
+	it('should refer to cluster members by fingerprint', ()=> {
+		var dedupe = new Dedupe().set({strategy: 'clark', dupeRef: Dedupe.DUPEREF.FINGERPRINT, action: Dedupe.ACTIONS.CLUSTER});
+		return dedupe.run(refs)
+			.then(output => expect(output[1].dedupe).to.deep.include({
+				primary: dedupe.getFingerprint(refs[0]),
+				members: [dedupe.getFingerprint(refs[0]), dedupe.getFingerprint(refs[1])],
+			}))
+	});
+
+	it('should disambiguate identical refs by their order', ()=> {
+		var dedupe = new Dedupe().set({strategy: 'clark', dupeRef: Dedupe.DUPEREF.FINGERPRINT});
+		var fingerprint = dedupe.getFingerprint(refs[2]);
+
+		expect(dedupe.getFingerprints([refs[2], refs[3], refs[2], {}, {}, refs[2]])).to.deep.equal([
+			fingerprint,
+			dedupe.getFingerprint(refs[3]),
+			`${fingerprint}-2`,
+			dedupe.getFingerprint({}),
+			`${dedupe.getFingerprint({})}-2`,
+			`${fingerprint}-3`,
+		]);
+
+		return dedupe.run([refs[2], {...refs[2]}])
+			.then(output => expect(output.map(ref => ref.dedupe.dupeOf)).to.deep.equal([[], [fingerprint]]))
+			.then(()=> dedupe.set('action', Dedupe.ACTIONS.CLUSTER).run([refs[2], {...refs[2]}]))
+			.then(output => expect(output[1].dedupe).to.deep.include({
+				primary: fingerprint,
+				members: [fingerprint, `${fingerprint}-2`],
+			}))
+	});
+
+});
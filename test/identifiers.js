@@ -0,0 +1,35 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Identifiers strategy', ()=> {
+
+	var refs = [
+		{title: 'Alpha trial', urls: ['https://clinicaltrials.gov/study/NCT01234567']},
+		{title: 'Alpha trial: conference abstract', notes: 'Registered at NCT 01234567'},
+		{title: 'Beta study', accessionNum: '999', database: 'MEDLINE'},
+		{title: 'Beta study (corrected)', notes: 'PMID: 999'},
+		{title: 'Gamma study', isbn: '1098-6618'},
+		{title: 'Delta study', isbn: '1098-6618'},
+		{title: 'Epsilon study', doi: '10.1000/e'},
+		{title: 'Epsilon study', doi: 'https://doi.org/10.1000/e'},
+	];
+
+	it('should be a valid strategy', ()=> {
+		expect((new Dedupe()).validateStrategy(Dedupe.strategies.identifiers)).to.equal(true);
+	});
+
+	it('should match refs sharing any identifier', ()=>
+		(new Dedupe())
+			.set('strategy', 'identifiers')
+			.run(refs)
+			.then(output => expect(output.map(ref => ref.dedupe.dupeOf)).to.deep.equal([[], [0], [], [2], [], [], [], [6]]))
+	);
+
+	it('should match refs sharing any identifier in worker threads', ()=>
+		(new Dedupe())
+			.set({strategy: 'identifiers', threads: 2})
+			.run(refs)
+			.then(output => expect(output.map(ref => ref.dedupe.dupeOf)).to.deep.equal([[], [0], [], [2], [], [], [], [6]]))
+	);
+
+});
@@ -0,0 +1,87 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Incremental deduplication', ()=> {
+
+	var existingRefs = [
+		{refNumber: 10, title: 'Alpha study', year: '2020', doi: '10.1000/a'},
+		{refNumber: 11, title: 'Alpha study', year: '2020', doi: '10.1000/a'}, // Existing dupe which was kept deliberately
+		{refNumber: 12, title: 'Beta study', year: '2021', doi: '10.1000/b'},
+	];
+	var newRefs = [
+		{refNumber: 1, title: 'Beta study', year: '2021', doi: '10.1000/b'},
+		{refNumber: 2, title: 'Gamma study', year: '2022', doi: '10.1000/c'},
+		{refNumber: 3, title: 'Gamma study', year: '2022', doi: '10.1000/c'},
+		{refNumber: 4, title: 'Delta study', year: '2022', doi: '10.1000/d'},
+	];
+
+	it('should only output new refs, linking back to existing record numbers', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', dupeRef: Dedupe.DUPEREF.RECNUMBER})
+			.runIncremental(existingRefs, newRefs)
+			.then(output => {
+				expect(output.map(ref => ref.refNumber)).to.deep.equal([1, 2, 3, 4]);
+				expect(output.map(ref => ref.dedupe.dupeOf)).to.deep.equal([[12], [], [2], []]);
+			})
+	);
+
+	it('should never flag existing refs against each other', ()=> {
+		var pairs = [];
+		return (new Dedupe())
+			.set({strategy: 'clark', markOriginal: true})
+			.on('dupeFound', pair => pairs.push(pair))
+			.runIncremental(existingRefs, newRefs)
+			.then(()=> {
+				expect(pairs).to.not.be.empty;
+				pairs.forEach(pair => expect(pair.b).to.be.at.least(existingRefs.length));
+			})
+	});
+
+	it('should link new refs back to existing refs regardless of sort order', ()=> {
+		var refs = [0, 1, 2, 3].map(index => ({index}));
+		var hit = (a, b) => ({original: refs[a], dupe: refs[b], score: 1});
+
+		expect((new Dedupe()).filterHits([hit(0, 1), hit(2, 0), hit(1, 3), hit(3, 2)], 2)
+			.map(hit => [hit.original.index, hit.dupe.index])
+		).to.deep.equal([[0, 2], [1, 3], [3, 2]]);
+	});
+
+	it('should delete new duplicates', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.DELETE})
+			.runIncremental(existingRefs, newRefs)
+			.then(output => expect(output.map(ref => ref.refNumber)).to.deep.equal([2, 4]))
+	);
+
+	it('should only report on new refs', ()=> {
+		var dedupe = new Dedupe().set({strategy: 'clark', action: Dedupe.ACTIONS.DELETE});
+		var summary;
+		return dedupe
+			.on('complete', res => summary = res)
+			.runIncremental(
+				existingRefs.map(ref => ({...ref, source: 'Library'})),
+				newRefs.map((ref, index) => ({...ref, source: index < 2 ? 'PubMed' : 'Embase'})),
+			)
+			.then(output => {
+				expect(summary).to.include({refs: 4, duplicates: 2, automatic: 2, output: output.length});
+				expect(summary.sources.names).to.deep.equal(['PubMed', 'Embase']);
+
+				var report = dedupe.prismaReport(summary);
+				expect(report.identified).to.deep.equal({total: 4, sources: {PubMed: 2, Embase: 2}});
+				expect(report.removed).to.deep.equal({total: 2, sources: {PubMed: 1, Embase: 1}});
+				expect(report.remaining).to.deep.equal({total: 2, sources: {PubMed: 1, Embase: 1}});
+				expect(report.remaining.total).to.equal(output.length);
+			})
+	});
+
+	it('should merge new duplicates into existing refs', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.MERGE})
+			.runIncremental(existingRefs, [{...newRefs[0], abstract: 'Beta abstract'}, ...newRefs.slice(1)])
+			.then(output => {
+				expect(output.map(ref => ref.refNumber)).to.deep.equal([12, 2, 4]);
+				expect(output[0]).to.have.property('abstract', 'Beta abstract');
+			})
+	);
+
+});
@@ -107,6 +107,104 @@ describe('Basic dedupe functionality', ()=> {
 	);
 
 
+	it('should cluster duplicates transitively across steps', ()=>
+		(new Dedupe())
+			.set('strategy', 'clark')
+			.set('action', Dedupe.ACTIONS.CLUSTER)
+			.run([
+				{title: 'Unrelated paper'},
+				{doi: '10.1000/182', title: 'First title'},
+				{doi: 'https://doi.org/10.1000/182', title: 'Second title'},
+				{title: 'SECOND title'},
+				{title: 'First paper'},
+			])
+			.then(output => expect(output.map(ref => _.omit(ref.dedupe, 'score'))).to.be.deep.equal([
+				{cluster: 0, primary: 0, members: [0]},
+				{cluster: 1, primary: 1, members: [1, 2, 3]},
+				{cluster: 1, primary: 1, members: [1, 2, 3]},
+				{cluster: 1, primary: 1, members: [1, 2, 3]},
+				{cluster: 2, primary: 4, members: [4]},
+			]))
+	);
+
+
+	it('should merge duplicates into one enriched ref', ()=>
+		(new Dedupe())
+			.set('strategy', 'clark')
+			.set('action', Dedupe.ACTIONS.MERGE)
+			.run([
+				{title: 'Some paper', abstract: 'Short', keywords: ['one', 'two'], database: 'PubMed'},
+				{title: 'Unrelated paper'},
+				{title: 'Some paper', doi: '10.1000/182', abstract: 'Much longer abstract', keywords: ['two', 'three'], database: 'Embase'},
+				{title: 'Some paper', pages: '1-10', urls: ['https://example.com']},
+			])
+			.then(output => expect(output).to.be.deep.equal([
+				{
+					title: 'Some paper',
+					doi: '10.1000/182',
+					abstract: 'Much longer abstract',
+					keywords: ['two', 'three', 'one'],
+					database: 'Embase; PubMed',
+					pages: '1-10',
+					urls: ['https://example.com'],
+				},
+				{title: 'Unrelated paper'},
+			]))
+	);
+
+
+	it('should merge non-string values by their length', ()=> {
+		var dedupe = new Dedupe();
+		expect(dedupe.merges.longest.handler([12, 13])).to.equal(12);
+		expect(dedupe.merges.longest.handler(['', 1234, '12-13'])).to.equal('12-13');
+
+		return dedupe
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.MERGE, mergeRules: {pages: 'longest'}})
+			.run([{title: 'Some paper', pages: 12}, {title: 'Some paper', pages: 13}])
+			.then(output => expect(output).to.deep.equal([{title: 'Some paper', pages: 12}]))
+	});
+
+
+	it('should reject unknown merge rules', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.MERGE, mergeRules: {abstract: 'longest', title: 'shortest'}})
+			.run([{title: 'Some paper'}, {title: 'Some paper'}])
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => expect(e.message).to.match(/^Invalid merge rule "shortest" for field "title"/))
+	);
+
+
+	it('should only merge duplicates which delete would remove', ()=> {
+		var refs = [
+			{title: 'Tafenoquine for malaria prophylaxis'},
+			{title: 'Tafenoquine for malaria prophylaxes'},
+			{title: 'Primaquine for malaria'},
+			{title: 'Primaquine for malaria'},
+		];
+		var settings = {
+			strategy: {
+				title: 'Fuzzy titles',
+				description: 'Near identical titles',
+				steps: [{fields: ['title'], sort: 'title', window: 1, comparison: 'jaroWinkler', threshold: 0.5}],
+			},
+			threshold: 0.999,
+		};
+
+		return Promise.all([
+			(new Dedupe()).set({...settings, action: Dedupe.ACTIONS.DELETE}).run(refs),
+			(new Dedupe()).set({...settings, action: Dedupe.ACTIONS.MERGE}).run(refs),
+		])
+			.then(([deleted, merged]) => {
+				expect(deleted.map(ref => ref.title)).to.deep.equal([
+					'Tafenoquine for malaria prophylaxis',
+					'Tafenoquine for malaria prophylaxes',
+					'Primaquine for malaria',
+				]);
+				expect(merged.map(ref => ref.title)).to.deep.equal(deleted.map(ref => ref.title));
+			})
+	});
+
+
 	it('should correctly identify duplicate DOIs (randomized DOIs)', ()=> {
 		var originals = [
 			{doi: 'https://doi.org/10.1000/182'},
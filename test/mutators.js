@@ -63,6 +63,69 @@ describe('Mutators', ()=> {
 		expect(dedupe.mutators.noCase.handler('Hello World')).to.equal('hello world');
 	});
 
+	it('pmidRewrite', ()=> {
+		expect(dedupe.mutators.pmidRewrite.handler('PMID: 012345', {})).to.equal('12345');
+		expect(dedupe.mutators.pmidRewrite.handler('', {medlinePMID: '12345'})).to.equal('12345');
+		expect(dedupe.mutators.pmidRewrite.handler('', {accessionNum: '12345', database: 'MEDLINE'})).to.equal('12345');
+		expect(dedupe.mutators.pmidRewrite.handler('', {accessionNum: '12345', database: 'Embase'})).to.equal('');
+		expect(dedupe.mutators.pmidRewrite.handler('', {urls: ['https://pubmed.ncbi.nlm.nih.gov/12345/'], notes: 'Cited as PMID 67890'})).to.equal('67890 12345');
+		expect(dedupe.mutators.pmidRewrite.handler('0012345678', {})).to.equal('12345678');
+		expect(dedupe.mutators.pmidRewrite.handler('', {notes: 'PMID: 0012345678'})).to.equal('12345678');
+		expect(dedupe.mutators.pmidRewrite.handler('', {
+			medlinePMID: '31366609',
+			notes: 'PMID: 31366609\rComment on: Lancet. 2019;394(10202):929-938. PMID: 31327563\rErratum for: PLoS One. 2018;13(5):e0196716. PMID: 29738548',
+		})).to.equal('31366609');
+		expect(dedupe.mutators.pmidRewrite.handler('', {notes: 'Comment in: BMJ. 2020;368:m100. PMID: 31941615'})).to.equal('');
+	});
+
+	it('pmcidRewrite', ()=> {
+		expect(dedupe.mutators.pmcidRewrite.handler('6750137', {})).to.equal('PMC6750137');
+		expect(dedupe.mutators.pmcidRewrite.handler('', {custom2: 'PMC6750137'})).to.equal('PMC6750137');
+		expect(dedupe.mutators.pmcidRewrite.handler('', {urls: ['https://www.ncbi.nlm.nih.gov/pmc/articles/PMC6750137/']})).to.equal('PMC6750137');
+		expect(dedupe.mutators.pmcidRewrite.handler('', {notes: 'PMCID: 6750137'})).to.equal('PMC6750137');
+		expect(dedupe.mutators.pmcidRewrite.handler('', {medlinePubMedCentralID: 'PMC6750137'})).to.equal('PMC6750137');
+		expect(dedupe.mutators.pmcidRewrite.handler('', {notes: 'Funded by grant PMC 2020 award'})).to.equal('');
+	});
+
+	it('embaseRewrite', ()=> {
+		expect(dedupe.mutators.embaseRewrite.handler('l2005012345', {})).to.equal('L2005012345');
+		expect(dedupe.mutators.embaseRewrite.handler('', {accessionNum: 'L2005012345', databaseProvider: 'Ovid Embase'})).to.equal('L2005012345');
+		expect(dedupe.mutators.embaseRewrite.handler('', {urls: ['https://www.embase.com/search/results?subaction=viewrecord&id=L2005012345&from=export']})).to.equal('L2005012345');
+	});
+
+	it('isbnRewrite', ()=> {
+		expect(dedupe.mutators.isbnRewrite.handler('0-306-40615-2', {})).to.equal('9780306406157');
+		expect(dedupe.mutators.isbnRewrite.handler('978-0-306-40615-7 (hbk)\r9780306406158', {})).to.equal('9780306406157');
+		expect(dedupe.mutators.isbnRewrite.handler('', {notes: 'ISBN: 0-306-40615-2'})).to.equal('9780306406157');
+		expect(dedupe.mutators.isbnRewrite.handler('0893-8512 (Print)', {})).to.equal('');
+	});
+
+	it('issnRewrite', ()=> {
+		expect(dedupe.mutators.issnRewrite.handler('08938512', {})).to.equal('0893-8512');
+		expect(dedupe.mutators.issnRewrite.handler('', {isbn: '0893-8512 (Print)\r0893-8512', notes: 'eISSN: 1098-6618'})).to.equal('0893-8512 1098-6618');
+		expect(dedupe.mutators.issnRewrite.handler('0893-8513', {})).to.equal('');
+		expect(dedupe.mutators.issnRewrite.handler('', {medlineISSN: ['1932-6203 (Electronic)', '1932-6203 (Linking)']})).to.equal('1932-6203');
+	});
+
+	it('trialIdRewrite', ()=> {
+		expect(dedupe.mutators.trialIdRewrite.handler('nct01234567', {})).to.equal('NCT01234567');
+		expect(dedupe.mutators.trialIdRewrite.handler('', {
+			urls: ['https://clinicaltrials.gov/study/NCT01234567'],
+			notes: 'Registered as ISRCTN 12345678 and ACTRN12611000123456',
+		})).to.equal('NCT01234567 ISRCTN12345678 ACTRN12611000123456');
+		expect(dedupe.mutators.trialIdRewrite.handler('', {medlineSecondarySource: 'ClinicalTrials.gov/NCT01234567'})).to.equal('NCT01234567');
+	});
+
+	it('identifierExtract', ()=> {
+		expect(dedupe.mutators.identifierExtract.handler('', {
+			isbn: '0-306-40615-2\r0893-8512',
+			custom2: 'PMC6750137',
+			notes: 'PMID: 31366609. Trial registration: NCT01234567',
+		})).to.equal('nct:NCT01234567 pmcid:PMC6750137 pmid:31366609');
+		expect(dedupe.mutators.identifierExtract.handler('', {type: 'book', isbn: '0-306-40615-2'})).to.equal('isbn:9780306406157');
+		expect(dedupe.mutators.identifierExtract.handler('', {title: 'No identifiers'})).to.equal('');
+	});
+
 	it('numericOnly', ()=> {
 		expect(dedupe.mutators.numericOnly.handler('one1two2three3')).to.equal('123');
 	});
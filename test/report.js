@@ -0,0 +1,74 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('PRISMA report', ()=> {
+
+	var sources = {
+		Embase: [
+			{title: 'Delta trial of widgets', year: '2019', volume: '5', pages: '10-20', doi: '10.1000/d'},
+			{title: 'Epsilon cohort of gadgets', year: '2020', volume: '6', pages: '30-40'},
+			{title: 'Zeta survey of sprockets', year: '2021', volume: '7'},
+		],
+		PubMed: [
+			{title: 'Delta trial of widgets', year: '2019', volume: '5', pages: '10-20', doi: '10.1000/d'}, // Matches on DOI + title, above the threshold
+			{title: 'Epsilon cohort of gadgets', year: '2020', volume: '9', pages: '50-60'}, // Matches on title only, within the review band
+			{title: 'Eta review of cogs', year: '2022', volume: '8'},
+		],
+	};
+
+	var dedupe, summary;
+	before('run dedupe', ()=> {
+		dedupe = (new Dedupe())
+			.set({strategy: 'clark', threshold: 0.5, reviewThreshold: 0.1})
+			.on('complete', res => summary = res);
+		return dedupe.run(sources);
+	});
+
+	it('should compute overall, per-source and per-step counts', ()=> {
+		var report = dedupe.prismaReport(summary);
+		expect(report.identified).to.deep.equal({total: 6, sources: {Embase: 3, PubMed: 3}});
+		expect(report.removed).to.deep.equal({total: 1, sources: {Embase: 0, PubMed: 1}});
+		expect(report.review).to.deep.equal({total: 1, sources: {Embase: 0, PubMed: 1}});
+		expect(report.remaining).to.deep.equal({total: 5, sources: {Embase: 3, PubMed: 2}});
+		expect(report.steps).to.have.length(4);
+		expect(report.steps[0]).to.deep.equal({step: 1, title: 'doi', duplicates: 1});
+		expect(report.steps[2]).to.deep.equal({step: 3, title: 'title', duplicates: 2});
+	});
+
+	it('should render as JSON', ()=> {
+		expect(JSON.parse(dedupe.renderReport(summary, 'json'))).to.deep.equal(dedupe.prismaReport(summary));
+	});
+
+	it('should render as Markdown', ()=> {
+		var markdown = dedupe.renderReport(summary, 'markdown');
+		expect(markdown).to.include('| Records identified | 6 |');
+		expect(markdown).to.include('| PubMed | 3 | 1 | 1 | 2 |');
+		expect(markdown).to.include('| 3 | title | 2 |');
+	});
+
+	it('should render as CSV', ()=> {
+		var rows = dedupe.renderReport(summary, 'csv').trim().split('\n');
+		expect(rows[0]).to.equal('section,name,measure,count');
+		expect(rows).to.include('overall,,removed,1');
+		expect(rows).to.include('overall,,review,1');
+		expect(rows).to.include('source,Embase,remaining,3');
+		expect(rows).to.include('step,doi,duplicates,1');
+	});
+
+	it('should render as HTML', ()=> {
+		var html = dedupe.renderReport(summary, 'html');
+		expect(html).to.include('<td>Records identified</td><td>6</td>');
+		expect(html).to.include('<td>PubMed</td><td>3</td><td>1</td><td>1</td><td>2</td>');
+		expect(dedupe.renderReport({...summary, steps: [{stepIndex: 0, title: 'a < b', duplicates: 0}]}, 'html')).to.include('<td>a &lt; b</td>');
+	});
+
+	it('should pick the report format from a file extension', ()=> {
+		expect(dedupe.getReportFormat('prisma.json')).to.equal('json');
+		expect(dedupe.getReportFormat('prisma.MD')).to.equal('markdown');
+		expect(dedupe.getReportFormat('prisma.csv')).to.equal('csv');
+		expect(dedupe.getReportFormat('prisma.html')).to.equal('html');
+		expect(()=> dedupe.getReportFormat('prisma.pdf')).to.throw(/Unknown report format/);
+		expect(()=> dedupe.renderReport(summary, 'pdf')).to.throw(/Unknown report format/);
+	});
+
+});
@@ -0,0 +1,126 @@
+import _ from 'lodash';
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Manual review band', ()=> {
+
+	var refs = [
+		{title: 'Vitamin D supplementation in adolescents', year: '2020', volume: '1', doi: '10.1000/vitd'},
+		{title: 'Vitamin D supplementation in adolescents', year: '2020', volume: '1', doi: '10.1000/vitd'}, // Definite duplicate
+		{title: 'Zinc for acute diarrhoea in infants', year: '2021', volume: '2'},
+		{title: 'Zinc for acute diarrhoea in infants', year: '2021', volume: '3'}, // Same title + year in a different volume, within the review band
+		{title: 'Iron intake of toddlers', year: '2022', volume: '4'},
+	];
+
+	var strategy = {
+		title: 'Review test',
+		description: 'Averaged fields so partial matches score within the review band',
+		fieldWeight: 'average',
+		steps: [
+			{fields: ['title', 'year', 'volume'], sort: 'title', comparison: 'exact'},
+		],
+	};
+
+	it('should classify refs into duplicate, review and unique bands', ()=> {
+		var dedupe = new Dedupe().set({strategy, threshold: 0.8, reviewThreshold: 0.5});
+		var results;
+		return dedupe.runSteps(refs)
+			.then(res => results = res)
+			.then(()=> {
+				expect(results.refs.map(ref => _.round(ref.dedupe.score, 2))).to.deep.equal([0, 1, 0, 0.67, 0]);
+				expect(results.refs.map(ref => dedupe.classifyRef(ref))).to.deep.equal(['unique', 'duplicate', 'unique', 'review', 'unique']);
+			})
+	});
+
+	it('should have no review band by default', ()=> {
+		var dedupe = new Dedupe().set({strategy, threshold: 0.8});
+		expect(dedupe.getReviewThreshold()).to.equal(0.8);
+		return dedupe.runSteps(refs)
+			.then(results => expect(results.refs.map(ref => dedupe.classifyRef(ref))).to.deep.equal(['unique', 'duplicate', 'unique', 'unique', 'unique']))
+	});
+
+	it('should mark refs with markReview', ()=>
+		(new Dedupe())
+			.set({strategy, threshold: 0.8, reviewThreshold: 0.5, action: Dedupe.ACTIONS.MARK})
+			.run(refs)
+			.then(output => expect(output.map(ref => ref.dedupe)).to.deep.equal(['OK', 'DUPE', 'OK', 'REVIEW', 'OK']))
+	);
+
+	it('should only delete the definite duplicate band', ()=>
+		(new Dedupe())
+			.set({strategy, threshold: 0.8, reviewThreshold: 0.5, action: Dedupe.ACTIONS.DELETE})
+			.run(refs)
+			.then(output => expect(output.map(ref => `${ref.title}:${ref.volume}`)).to.deep.equal([
+				'Vitamin D supplementation in adolescents:1',
+				'Zinc for acute diarrhoea in infants:2',
+				'Zinc for acute diarrhoea in infants:3',
+				'Iron intake of toddlers:4',
+			]))
+	);
+
+	it('should leave refs needing review unmerged', ()=> {
+		var dedupe = new Dedupe().set({strategy, threshold: 0.8, reviewThreshold: 0.5, action: Dedupe.ACTIONS.MERGE});
+		var summary;
+		return dedupe
+			.on('complete', res => summary = res)
+			.run(refs)
+			.then(output => {
+				expect(output.map(ref => `${ref.title}:${ref.volume}`)).to.deep.equal([
+					'Vitamin D supplementation in adolescents:1',
+					'Zinc for acute diarrhoea in infants:2',
+					'Zinc for acute diarrhoea in infants:3',
+					'Iron intake of toddlers:4',
+				]);
+				expect(dedupe.prismaReport(summary).remaining.total).to.equal(output.length);
+			})
+	});
+
+	it('should return the review pairs with explanations', ()=> {
+		var summary;
+		return (new Dedupe())
+			.set({strategy, threshold: 0.8, reviewThreshold: 0.5})
+			.on('complete', res => summary = res)
+			.run(refs)
+			.then(()=> {
+				expect(summary).to.include({refs: 5, duplicates: 2, automatic: 1, review: 1});
+				expect(summary.reviewPairs).to.have.length(1);
+
+				var pair = summary.reviewPairs[0];
+				expect(_.pick(pair, ['a', 'b'])).to.deep.equal({a: 2, b: 3});
+				expect(pair.score).to.be.closeTo(2/3, 0.001);
+				expect(pair.refA).to.equal(refs[2]);
+				expect(pair.refB).to.equal(refs[3]);
+				expect(pair.steps).to.have.length(1);
+				expect(pair.steps[0]).to.include({title: 'title + year + volume', hit: true});
+				expect(pair.steps[0].fields.map(field => [field.field, field.valueA, field.valueB, field.score])).to.deep.equal([
+					['title', 'Zinc for acute diarrhoea in infants', 'Zinc for acute diarrhoea in infants', 1],
+					['year', '2021', '2021', 1],
+					['volume', '2', '3', 0],
+				]);
+			})
+	});
+
+	it('should omit review pairs without a review band', ()=> {
+		var summary;
+		return (new Dedupe())
+			.set({strategy, threshold: 0.8})
+			.on('complete', res => summary = res)
+			.run(refs)
+			.then(()=> expect(summary).to.not.have.property('reviewPairs'))
+	});
+
+	it('should reject a review threshold above the threshold', ()=>
+		(new Dedupe())
+			.set({strategy, threshold: 0.4, reviewThreshold: 0.8})
+			.run(refs)
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => expect(e.message).to.match(/Invalid reviewThreshold/))
+	);
+
+	it('should validate strategy review thresholds', ()=> {
+		var dedupe = new Dedupe();
+		expect(dedupe.validateStrategy({...strategy, threshold: 0.5, reviewThreshold: 0.2})).to.equal(true);
+		expect(dedupe.validateStrategy({...strategy, threshold: 0.5, reviewThreshold: 0.7})).to.deep.equal([{path: 'reviewThreshold', message: 'Must be between 0 and 0.5'}]);
+	});
+
+});
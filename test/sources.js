@@ -0,0 +1,134 @@
+import _ from 'lodash';
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Named sources', ()=> {
+
+	var sources = {
+		Embase: [
+			{title: 'Alpha study', year: '2020', doi: '10.1000/a'},
+			{title: 'Beta study', year: '2021', doi: '10.1000/b'},
+			{title: 'Beta study', year: '2021', doi: '10.1000/b'},
+		],
+		PubMed: [
+			{title: 'Alpha study', year: '2020', doi: '10.1000/a'},
+			{title: 'Gamma study', year: '2022', doi: '10.1000/c'},
+		],
+		CINAHL: [
+			{title: 'Alpha study', year: '2020', doi: '10.1000/a'},
+			{title: 'Gamma study', year: '2022', doi: '10.1000/c'},
+		],
+	};
+
+	it('should tag each ref with its source', ()=>
+		(new Dedupe())
+			.set('strategy', 'clark')
+			.run(sources)
+			.then(output => {
+				expect(output.map(ref => ref.source)).to.deep.equal(['Embase', 'Embase', 'Embase', 'PubMed', 'PubMed', 'CINAHL', 'CINAHL']);
+				expect(output.map(ref => ref.dedupe.score > 0)).to.deep.equal([false, false, true, true, false, true, true]);
+			})
+	);
+
+	it('should keep refs from preferred sources', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.DELETE, sourcePriority: ['PubMed', 'Embase']})
+			.run(sources)
+			.then(output => {
+				expect(output.map(ref => `${ref.source}:${ref.title}`)).to.deep.equal([
+					'Embase:Beta study',
+					'PubMed:Alpha study',
+					'PubMed:Gamma study',
+				]);
+			})
+	);
+
+	it('should prefer sources when choosing the primary ref of a cluster', ()=>
+		(new Dedupe())
+			.set({strategy: 'clark', action: Dedupe.ACTIONS.CLUSTER, sourcePriority: ['CINAHL'], dupeRef: Dedupe.DUPEREF.INDEX})
+			.run(sources)
+			.then(output => {
+				expect(output[0].dedupe).to.include({primary: 5});
+				expect(output[4].dedupe).to.include({primary: 6});
+			})
+	);
+
+	it('should compute per-source counts and overlap', ()=> {
+		var summary;
+		return (new Dedupe())
+			.set('strategy', 'clark')
+			.on('complete', res => summary = res)
+			.run(sources)
+			.then(()=> {
+				expect(summary.sources.names).to.deep.equal(['Embase', 'PubMed', 'CINAHL']);
+				expect(summary.sources.counts).to.deep.equal({
+					Embase: {before: 3, duplicates: 1, after: 2, automatic: 1, review: 0},
+					PubMed: {before: 2, duplicates: 1, after: 1, automatic: 1, review: 0},
+					CINAHL: {before: 2, duplicates: 2, after: 0, automatic: 2, review: 0},
+				});
+				expect(summary.sources.overlap).to.deep.equal({
+					Embase: {Embase: 1, PubMed: 1, CINAHL: 1},
+					PubMed: {Embase: 1, PubMed: 0, CINAHL: 2},
+					CINAHL: {Embase: 1, PubMed: 2, CINAHL: 0},
+				});
+			})
+	});
+
+	it('should only count refs above the threshold as removed', ()=> {
+		var settings = {
+			strategy: {
+				title: 'Title, year + DOI',
+				description: 'Averaged fields so preprints with their own DOI score below the threshold',
+				fieldWeight: 'average',
+				steps: [{fields: ['title', 'year', 'doi'], sort: 'title', comparison: 'exact'}],
+			},
+			threshold: 0.999,
+		};
+		var preprintSources = {
+			Embase: [
+				{title: 'Sepsis bundle compliance in rural hospitals', year: '2021', doi: '10.1000/sepsis'},
+				{title: 'Frailty screening in primary care', year: '2020', doi: '10.1000/frailty'},
+			],
+			medRxiv: [
+				{title: 'Sepsis bundle compliance in rural hospitals', year: '2021', doi: '10.1101/2020.12.01.1234'}, // Preprint of the published record, a duplicate below the threshold
+			],
+			PubMed: [
+				{title: 'Frailty screening in primary care', year: '2020', doi: '10.1000/frailty'},
+				{title: 'Sepsis bundle compliance in rural hospitals', year: '2021', doi: '10.1000/sepsis'},
+			],
+		};
+
+		var dedupe = new Dedupe().set({...settings, action: Dedupe.ACTIONS.DELETE});
+		var summary;
+		return dedupe
+			.on('complete', res => summary = res)
+			.run(preprintSources)
+			.then(output => {
+				expect(summary.sources.counts).to.deep.equal({
+					Embase: {before: 2, duplicates: 0, after: 2, automatic: 0, review: 0},
+					medRxiv: {before: 1, duplicates: 1, after: 1, automatic: 0, review: 0},
+					PubMed: {before: 2, duplicates: 2, after: 0, automatic: 2, review: 0},
+				});
+				expect(_.countBy(output, 'source')).to.deep.equal({Embase: 2, medRxiv: 1});
+				expect(dedupe.prismaReport(summary).remaining.sources).to.deep.equal({Embase: 2, medRxiv: 1, PubMed: 0});
+			})
+	});
+
+	it('should reject sources which are not arrays or file paths', ()=>
+		(new Dedupe())
+			.set('strategy', 'clark')
+			.run({Embase: sources.Embase, PubMed: sources.PubMed.values()})
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => expect(e.message).to.equal('Input for source "PubMed" must be an array of references or a file path'))
+	);
+
+	it('should omit source stats when refs have no source', ()=> {
+		var summary;
+		return (new Dedupe())
+			.set('strategy', 'clark')
+			.on('complete', res => summary = res)
+			.run(sources.Embase)
+			.then(()=> expect(summary).to.not.have.property('sources'))
+	});
+
+});
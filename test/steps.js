@@ -0,0 +1,105 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Step comparisons', ()=> {
+
+	var dedupe = new Dedupe();
+
+	var a = {title: 'onetwothree', year: '2020', volume: '1'};
+	var b = {title: 'onetXothree', year: '2020', volume: '2'};
+
+	it('should compare via minimum', ()=> {
+		expect(dedupe.compareViaStepMin(a, b, {comparison: 'jaroWinkler', fields: ['title', 'year']})).to.be.equal(0.9636363636363636);
+		expect(dedupe.compareViaStepMin(a, b, {comparison: 'exact', fields: ['year', 'volume']})).to.be.equal(0);
+	});
+
+	it('should compare via average', ()=> {
+		expect(dedupe.compareViaStepAvg(a, b, {comparison: 'exact', fields: ['year', 'volume']})).to.be.equal(0.5);
+		expect(dedupe.compareViaStepAvg(a, b, {comparison: 'exact', fields: [{field: 'year', weight: 3}, 'volume']})).to.be.equal(0.75);
+	});
+
+	it('should apply per-field thresholds', ()=> {
+		expect(dedupe.compareViaStepMin(a, b, {comparison: 'jaroWinkler', fields: [{field: 'title', threshold: 0.95}, 'year']})).to.be.equal(0.9636363636363636);
+		expect(dedupe.compareViaStepMin(a, b, {comparison: 'jaroWinkler', fields: [{field: 'title', threshold: 0.99}, 'year']})).to.be.equal(0);
+	});
+
+	it('should use per-field comparisons', ()=> {
+		var step = {
+			fields: [
+				{field: 'title', comparison: 'jaroWinkler', threshold: 0.95},
+				{field: 'year', comparison: 'exact'},
+			],
+		};
+		expect(dedupe.compareViaStepMin(a, b, step)).to.be.equal(0.9636363636363636);
+		expect(dedupe.compareViaStepMin(a, {...b, year: '2021'}, step)).to.be.equal(0);
+	});
+
+	it('should apply per-field missing policies', ()=> {
+		var step = {
+			comparison: 'exact',
+			fields: ['year', {field: 'pages', missing: 'ignore'}],
+		};
+		expect(dedupe.compareViaStepMin(a, b, step)).to.be.equal(1);
+		expect(dedupe.compareViaStepMin({...a, pages: '1'}, {...b, pages: '2'}, step)).to.be.equal(0);
+		expect(dedupe.compareViaStepMin({}, {}, {...step, fields: [{field: 'pages', missing: 'ignore'}]})).to.be.equal(0);
+		expect(dedupe.compareViaStepMin({}, {}, {...step, fields: [{field: 'pages', missing: 'zero'}]})).to.be.equal(0);
+		expect(dedupe.compareViaStepMin({}, {}, {...step, fields: [{field: 'pages', missing: 'compare'}]})).to.be.equal(1);
+	});
+
+	it('should validate per-field rules', ()=> {
+		var strategy = {
+			title: 'Test',
+			description: 'Test',
+			mutators: {},
+			steps: [{
+				sort: 'title',
+				fields: [
+					'title',
+					{field: 'year', comparison: 'exakt'},
+					{field: 'volume', comparison: 'exact', missing: 'sometimes'},
+				],
+			}],
+		};
+		expect(dedupe.validateStrategy(strategy)).to.be.deep.equal([
+			{path: 'steps[0].fields[0]', message: 'Has no comparison and the step does not specify one'},
+			{path: 'steps[0].fields[1].comparison', message: 'Unknown comparison "exakt" - did you mean "exact"?'},
+			{path: 'steps[0].fields[2].missing', message: 'Invalid missing policy "sometimes", choose one of zero, compare, ignore'},
+		]);
+	});
+
+	it('should apply step thresholds', ()=> {
+		expect(dedupe.isHit(0.5, {})).to.be.true;
+		expect(dedupe.isHit(0, {})).to.be.false;
+		expect(dedupe.isHit(0.94, {threshold: 0.95})).to.be.false;
+		expect(dedupe.isHit(0.95, {threshold: 0.95})).to.be.true;
+	});
+
+	it('should sweep using all sort fields', ()=> {
+		var sortedRefs = [
+			{index: 0, year: '2020', volume: '1', title: 'one'},
+			{index: 1, year: '2020', volume: '2', title: 'two'},
+			{index: 2, year: '2020', volume: '2', title: 'three'},
+			{index: 3, year: '2020', volume: '2', title: 'two'},
+		];
+		var hits = dedupe.sweepStep(sortedRefs, {sort: ['year', 'volume'], comparison: 'exact', fields: ['title']}, 0, 1)
+			.map(hit => [hit.original.index, hit.dupe.index]);
+		expect(hits).to.be.deep.equal([[1, 3]]);
+	});
+
+	it('should sweep using a sorted-neighbourhood window', ()=> {
+		var sortedRefs = [
+			{index: 0, title: 'onetwothree'},
+			{index: 1, title: 'onetwothreX'},
+			{index: 2, title: 'something else'},
+			{index: 3, title: 'onetXothree'},
+		];
+		var step = {sort: 'title', comparison: 'jaroWinkler', threshold: 0.95, fields: ['title']};
+		var sweep = window => dedupe.sweepStep(sortedRefs, {...step, window}, 0, 1)
+			.map(hit => [hit.original.index, hit.dupe.index]);
+
+		expect(sweep(undefined)).to.be.deep.equal([[0, 1]]);
+		expect(sweep(1)).to.be.deep.equal([[0, 1]]);
+		expect(sweep(3)).to.be.deep.equal([[0, 1], [0, 3]]);
+	});
+
+});
@@ -0,0 +1,125 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+// Fix __dirname in es
+import path from 'path';
+import {fileURLToPath} from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Custom strategies', ()=> {
+
+	var refs = [
+		{title: 'Tafenoquine for malaria', year: '2020'},
+		{title: 'Tafenoquine for MALARIA', year: '2020'},
+		{title: 'Tafenoquine for malaria', year: '2021'},
+		{title: 'Copper IUDs', year: '2020'},
+	];
+
+	var strategy = {
+		title: 'Title only',
+		description: 'Match exact titles',
+		mutators: {
+			title: ['alphaNumericOnly', 'noCase'],
+		},
+		steps: [{
+			fields: ['title'],
+			sort: 'title',
+			comparison: 'exact',
+		}],
+	};
+
+	it('should accept a strategy object', ()=>
+		(new Dedupe())
+			.set('strategy', strategy)
+			.run(refs)
+			.then(output => {
+				expect(output.map(ref => ref.dedupe.score)).to.deep.equal([0, 1, 1, 0]);
+			})
+	);
+
+	it('should register a strategy per instance', ()=> {
+		var dedupe = (new Dedupe())
+			.registerStrategy('titleOnly', strategy)
+			.set('strategy', 'titleOnly');
+
+		expect(dedupe.getStrategy()).to.equal(strategy);
+		expect(Dedupe.strategies).to.not.have.property('titleOnly');
+		expect((new Dedupe()).strategies).to.not.have.property('titleOnly');
+
+		return dedupe.run(refs)
+			.then(output => expect(output.map(ref => ref.dedupe.score)).to.deep.equal([0, 1, 1, 0]))
+	});
+
+	it('should refuse to register an invalid strategy', ()=> {
+		expect(()=> (new Dedupe()).registerStrategy('broken', {...strategy, mutators: {title: 'nope'}}))
+			.to.throw(/mutators.title: Unknown mutator "nope"/);
+	});
+
+	it('should register custom mutators and comparisons', ()=>
+		(new Dedupe())
+			.registerMutator('shout', v => v.toUpperCase())
+			.registerComparison('firstWord', {
+				title: 'First word',
+				description: 'Compare only the first word',
+				handler: (a, b) => a.split(/\s+/)[0] == b.split(/\s+/)[0] ? 1 : 0,
+			})
+			.set('strategy', {
+				...strategy,
+				mutators: {title: 'shout'},
+				steps: [{fields: ['title'], sort: 'title', comparison: 'firstWord'}],
+			})
+			.run(refs)
+			.then(output => {
+				expect(output.map(ref => ref.title)).to.deep.equal(refs.map(ref => ref.title));
+				expect(output.map(ref => ref.dedupe.score)).to.deep.equal([0, 1, 1, 0]);
+			})
+	);
+
+	it('should report unknown mutators and comparisons', ()=> {
+		var errs = (new Dedupe()).validateStrategy({
+			...strategy,
+			mutators: {title: ['noCase', 'shout']},
+			steps: [{fields: ['title'], sort: 'title', comparison: 'firstWord'}],
+		});
+
+		expect(errs).to.deep.include({path: 'mutators.title[1]', message: 'Unknown mutator "shout"'});
+		expect(errs).to.deep.include({path: 'steps[0].comparison', message: 'Unknown comparison "firstWord"'});
+	});
+
+	it('should load a YAML strategy', ()=> {
+		var dedupe = new Dedupe();
+		return dedupe.loadStrategy(`${__dirname}/data/strategy.yaml`)
+			.then(strategy => {
+				expect(strategy).to.have.property('title', 'Title and year');
+				expect(strategy.steps[0]).to.deep.equal({fields: ['title', 'year'], sort: 'title', comparison: 'exact'});
+				return dedupe.set('strategy', strategy).run(refs);
+			})
+			.then(output => expect(output.map(ref => ref.dedupe.score)).to.deep.equal([0, 1, 0, 0]))
+	});
+
+	it('should load a JSON strategy using custom mutators and comparisons', ()=> {
+		var dedupe = (new Dedupe())
+			.registerMutator('shout', v => v.toUpperCase())
+			.registerComparison('firstWord', (a, b) => a.split(/\s+/)[0] == b.split(/\s+/)[0] ? 1 : 0);
+
+		return dedupe.loadStrategy(`${__dirname}/data/strategy.json`)
+			.then(strategy => dedupe.registerStrategy('custom', strategy).set('strategy', 'custom').run(refs))
+			.then(output => expect(output.map(ref => ref.dedupe.score)).to.deep.equal([0, 1, 1, 0]))
+	});
+
+	it('should reject invalid strategy files', ()=>
+		(new Dedupe())
+			.loadStrategy(`${__dirname}/data/strategy.json`)
+			.then(()=> expect.fail('Expected loadStrategy() to reject'))
+			.catch(e => expect(e.message).to.match(/mutators.title: Unknown mutator "shout"/))
+	);
+
+	it('should reject unsupported strategy file formats', ()=>
+		(new Dedupe())
+			.loadStrategy(`${__dirname}/data/copper.xml`)
+			.then(()=> expect.fail('Expected loadStrategy() to reject'))
+			.catch(e => expect(e.message).to.match(/only JSON and YAML/))
+	);
+
+});
@@ -0,0 +1,84 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+import { Readable } from 'stream';
+import reflib from '@iebh/reflib';
+
+// Fix __dirname in es
+import path from 'path';
+import {fileURLToPath} from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Lean + streaming mode', ()=> {
+
+	var refs;
+	before('load tafenoquine dataset', ()=>
+		reflib.readFile(`${__dirname}/data/tafenoquine.xml`)
+			.then(res => refs = res)
+	);
+
+	it('should compute the fields a strategy needs', ()=> {
+		expect((new Dedupe()).getStrategyFields(Dedupe.strategies.clark)).to.have.members([
+			'authors', 'doi', 'title', 'year', 'volume', 'issue', 'type',
+		]);
+
+		expect((new Dedupe()).set('primaryFields', ['doi', 'abstract']).getStrategyFields({
+			mutators: {title: 'noCase'},
+			steps: [{fields: [{field: 'pages', comparison: 'exact'}], blocking: {keys: ['yearAuthor']}}],
+		})).to.have.members(['title', 'pages', 'year', 'authors', 'doi', 'abstract']);
+	});
+
+	it('should only retain strategy fields in lean mode', ()=> {
+		var mutatedRefs;
+		return (new Dedupe())
+			.set({strategy: 'clark', lean: true})
+			.on('runMutated', refs => mutatedRefs = refs)
+			.run(refs)
+			.then(output => {
+				var ref = refs.find(ref => ref.abstract);
+				var mutatedRef = mutatedRefs[refs.indexOf(ref)];
+				expect(mutatedRef).to.not.have.property('abstract');
+				expect(mutatedRef).to.have.property('original', ref);
+				expect(output[refs.indexOf(ref)]).to.have.property('abstract', ref.abstract);
+			})
+	});
+
+	it('should give identical results in lean mode', ()=>
+		Promise.all([
+			(new Dedupe()).set({strategy: 'forbes', action: Dedupe.ACTIONS.CLUSTER}).run(refs),
+			(new Dedupe()).set({strategy: 'forbes', action: Dedupe.ACTIONS.CLUSTER, lean: true}).run(refs),
+		])
+			.then(([output, leanOutput]) => expect(leanOutput).to.deep.equal(output))
+	);
+
+	it('should accept iterables and async iterables', ()=> {
+		var dedupe = (new Dedupe()).set('strategy', 'forbes');
+		return Promise.all([
+			dedupe.run(refs),
+			dedupe.run(refs.values()),
+			dedupe.run(Readable.from(refs)),
+			dedupe.run({*[Symbol.iterator]() { yield* refs }}),
+			dedupe.run({async *[Symbol.asyncIterator]() { yield* refs }}),
+		])
+			.then(([output, iterableOutput, streamOutput, objectIterableOutput, objectAsyncIterableOutput]) => {
+				expect(iterableOutput).to.deep.equal(output);
+				expect(streamOutput).to.deep.equal(output);
+				expect(objectIterableOutput).to.deep.equal(output);
+				expect(objectAsyncIterableOutput).to.deep.equal(output);
+			})
+	});
+
+	it('should stream results', ()=> {
+		var dedupe = (new Dedupe()).set({strategy: 'forbes', action: Dedupe.ACTIONS.DELETE, lean: true});
+
+		return Promise.all([
+			Readable.from(dedupe.stream(Readable.from(refs))).toArray(),
+			dedupe.run(refs),
+		])
+			.then(([streamed, output]) => {
+				expect(streamed).to.have.length.below(refs.length);
+				expect(streamed).to.deep.equal(output);
+			})
+	});
+
+});
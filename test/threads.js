@@ -0,0 +1,85 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+import reflib from '@iebh/reflib';
+
+// Fix __dirname in es
+import path from 'path';
+import {fileURLToPath} from 'url';
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Worker threads', function() {
+	this.timeout(30 * 1000);
+
+	var refs;
+	before('load tafenoquine dataset', ()=>
+		reflib.readFile(`${__dirname}/data/tafenoquine.xml`)
+			.then(res => refs = res)
+	);
+
+	it('should give identical results to the main thread', ()=>
+		Promise.all([
+			(new Dedupe()).set({strategy: 'forbesMinFN', action: Dedupe.ACTIONS.CLUSTER}).run(refs),
+			(new Dedupe()).set({strategy: 'forbesMinFN', action: Dedupe.ACTIONS.CLUSTER, threads: 2}).run(refs),
+		])
+			.then(([output, threadedOutput]) => expect(threadedOutput).to.deep.equal(output))
+	);
+
+	it('should run blocking steps and custom comparisons', ()=> {
+		var strategy = {
+			title: 'Test',
+			description: 'Test',
+			mutators: {title: ['deburr', 'alphaNumericOnly', 'noCase']},
+			steps: [
+				{fields: ['title'], comparison: 'jaroWinkler', threshold: 0.95, blocking: {keys: ['titlePrefix']}},
+				{fields: ['title', 'year'], sort: 'title', comparison: 'sameLength'},
+			],
+		};
+		var run = threads => (new Dedupe())
+			.registerComparison('sameLength', (a, b) => a.length == b.length ? 1 : 0)
+			.set({strategy, threads})
+			.run(refs);
+
+		return Promise.all([run(0), run(2)])
+			.then(([output, threadedOutput]) => {
+				expect(output.some(ref => ref.dedupe.score > 0)).to.be.true;
+				expect(threadedOutput).to.deep.equal(output);
+			})
+	});
+
+	it('should run comparisons added or replaced directly on the main thread', ()=> {
+		var strategy = {
+			title: 'Test',
+			description: 'Test',
+			steps: [
+				{fields: ['title', 'year'], sort: 'title', comparison: 'sameLength'},
+				{fields: ['title'], sort: 'title', comparison: 'exact'},
+			],
+		};
+		var run = threads => {
+			var dedupe = new Dedupe().set({strategy, threads});
+			dedupe.comparisons.sameLength = {title: 'Same length', description: '', handler: (a, b) => a.length == b.length ? 1 : 0};
+			dedupe.comparisons.exact = {title: 'Never', description: '', handler: ()=> 0};
+			return dedupe.run(refs);
+		};
+
+		return Promise.all([run(0), run(2)])
+			.then(([output, threadedOutput]) => {
+				expect(output.some(ref => ref.dedupe.score > 0)).to.be.true;
+				expect(threadedOutput).to.deep.equal(output);
+			})
+	});
+
+	it('should emit progress', ()=> {
+		var progress = [];
+		return (new Dedupe())
+			.set({strategy: 'forbes', threads: 2})
+			.on('progress', (current, max) => progress.push(current / max))
+			.run(refs)
+			.then(()=> {
+				expect(progress).to.not.be.empty;
+				progress.forEach(p => expect(p).to.be.within(0, 1));
+			})
+	});
+
+});
@@ -0,0 +1,114 @@
+import Dedupe from '../src/index.js';
+import { expect } from 'chai';
+
+describe('Strategy validation', ()=> {
+
+	var dedupe = new Dedupe();
+
+	var strategy = {
+		title: 'Test',
+		description: 'Test',
+		mutators: {
+			title: ['deburr', 'noCase'],
+		},
+		steps: [{
+			fields: ['title', 'year'],
+			sort: 'title',
+			comparison: 'exact',
+		}],
+	};
+
+	it('should accept all built-in strategies', ()=> {
+		Object.entries(Dedupe.strategies).forEach(([id, strategy]) =>
+			expect(dedupe.validateStrategy(strategy), id).to.be.true
+		);
+	});
+
+	it('should accept strategies without mutators', ()=> {
+		expect(dedupe.validateStrategy({...strategy, mutators: undefined})).to.be.true;
+	});
+
+	it('should not crash on missing or mistyped steps', ()=> {
+		expect(dedupe.validateStrategy({title: 'Test', description: 'Test'})).to.deep.equal([
+			{path: 'steps', message: 'Required'},
+		]);
+		expect(dedupe.validateStrategy({...strategy, steps: {fields: ['title']}})).to.deep.equal([
+			{path: 'steps', message: 'Must be an array of steps'},
+		]);
+		expect(dedupe.validateStrategy('clark')).to.deep.equal([
+			{path: '', message: 'Strategy must be an object'},
+		]);
+	});
+
+	it('should report unknown keys with suggestions', ()=> {
+		expect(dedupe.validateStrategy({
+			...strategy,
+			mutator: {},
+			steps: [{...strategy.steps[0], feilds: ['title'], fields: ['title', {field: 'year', comparision: 'exact'}]}],
+		})).to.deep.equal([
+			{path: 'mutator', message: 'Unknown key "mutator" - did you mean "mutators"?'},
+			{path: 'steps[0].feilds', message: 'Unknown key "feilds" - did you mean "fields"?'},
+			{path: 'steps[0].fields[1].comparision', message: 'Unknown key "comparision" - did you mean "comparison"?'},
+		]);
+	});
+
+	it('should report unknown mutators and comparisons', ()=> {
+		expect(dedupe.validateStrategy({
+			...strategy,
+			mutators: {title: ['deburr', 'noCse'], doi: 'doiRewrit', year: 2020},
+			steps: [{...strategy.steps[0], comparison: 'jaroWinkle'}],
+		})).to.deep.equal([
+			{path: 'mutators.title[1]', message: 'Unknown mutator "noCse" - did you mean "noCase"?'},
+			{path: 'mutators.doi', message: 'Unknown mutator "doiRewrit" - did you mean "doiRewrite"?'},
+			{path: 'mutators.year', message: 'Must be a mutator name or an array of mutator names'},
+			{path: 'steps[0].comparison', message: 'Unknown comparison "jaroWinkle" - did you mean "jaroWinkler"?'},
+		]);
+	});
+
+	it('should report invalid field types', ()=> {
+		expect(dedupe.validateStrategy({
+			...strategy,
+			title: 42,
+			threshold: '0.5',
+			steps: [{
+				...strategy.steps[0],
+				fields: ['title', 7, {comparison: 'exact'}, {field: 'year', weight: -1, threshold: 2}],
+				skipOmitted: 'no',
+				window: 2.5,
+			}],
+		})).to.deep.equal([
+			{path: 'title', message: 'Must be a string'},
+			{path: 'threshold', message: 'Must be a number'},
+			{path: 'steps[0].skipOmitted', message: 'Must be true or false, not "no"'},
+			{path: 'steps[0].window', message: 'Must be an integer'},
+			{path: 'steps[0].fields[1]', message: 'Must be a field name or a field rule object'},
+			{path: 'steps[0].fields[2].field', message: 'Required'},
+			{path: 'steps[0].fields[3].threshold', message: 'Must be between 0 and 1'},
+			{path: 'steps[0].fields[3].weight', message: 'Must be at least 0'},
+		]);
+	});
+
+	it('should report sort fields which are not used by the strategy', ()=> {
+		expect(dedupe.validateStrategy({
+			...strategy,
+			steps: [
+				{...strategy.steps[0], sort: 'titel'},
+				{...strategy.steps[0], sort: ['year', 'doi']},
+				{...strategy.steps[0], sort: []},
+			],
+		})).to.deep.equal([
+			{path: 'steps[0].sort', message: 'Sort field "titel" is not compared or mutated anywhere in the strategy - did you mean "title"?'},
+			{path: 'steps[1].sort[1]', message: 'Sort field "doi" is not compared or mutated anywhere in the strategy'},
+			{path: 'steps[2].sort', message: 'Must be a field name or a non-empty array of field names'},
+		]);
+	});
+
+	it('should include paths when refusing to run', ()=>
+		(new Dedupe())
+			.set('strategy', {...strategy, steps: [{...strategy.steps[0], comparison: 'exakt'}]})
+			.run([])
+			.then(()=> expect.fail('Expected run() to reject'))
+			.catch(e => expect(e.message).to.equal('Invalid strategy - steps[0].comparison: Unknown comparison "exakt" - did you mean "exact"?'))
+	);
+
+});